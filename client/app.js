@@ -1,57 +1,23 @@
 // app.js
 (function() {
   const status = document.getElementById('status');
-  let websocket = null;
 
   function setStatus(msg) {
     status.textContent = msg;
   }
 
-  // Initialize WebSocket connection
+  // Show the state of the page's server connection (see live-connection.js);
+  // the typing simulator identifies itself and handles what the server sends
   function initializeWebSocket() {
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const host = window.location.host;
-    const wsUrl = `${protocol}//${host}/ws`;
-
-    try {
-      websocket = new WebSocket(wsUrl);
-
-      websocket.onopen = function(event) {
-        console.log('WebSocket connected');
-        setStatus('Ready (WebSocket connected)');
-      };
-
-      websocket.onmessage = function(event) {
-        try {
-          const data = JSON.parse(event.data);
-          if (data.type === 'message' && data.message) {
-            alert(data.message);
-          }
-        } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
-        }
-      };
-
-      websocket.onclose = function(event) {
-        console.log('WebSocket disconnected');
-        setStatus('Ready (WebSocket disconnected)');
-
-        // Attempt to reconnect after 3 seconds
-        setTimeout(() => {
-          console.log('Attempting to reconnect WebSocket...');
-          initializeWebSocket();
-        }, 3000);
-      };
-
-      websocket.onerror = function(error) {
-        console.error('WebSocket error:', error);
-        setStatus('Ready (WebSocket error)');
-      };
-
-    } catch (error) {
-      console.error('Failed to create WebSocket connection:', error);
-      setStatus('Ready (WebSocket unavailable)');
-    }
+    LiveConnection.on('open', () => {
+      console.log('WebSocket connected');
+      setStatus('Ready (WebSocket connected)');
+    });
+    LiveConnection.on('close', () => {
+      console.log('WebSocket disconnected, reconnecting...');
+      setStatus('Ready (WebSocket disconnected)');
+    });
+    LiveConnection.connect();
   }
 
   // Load help content and initialize modal
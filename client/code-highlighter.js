@@ -0,0 +1,186 @@
+/**
+ * CodeHighlighter - Offline syntax highlighting for code typing practice
+ *
+ * A small scanner rather than a full parser: it recognises comments, strings,
+ * numbers, keywords, constants, function names and annotations well enough to
+ * colour practice snippets. Returns one token type per character, so the
+ * simulator can keep rendering the passage character by character. Has no DOM
+ * dependencies.
+ *
+ * Token types: 'comment', 'string', 'number', 'keyword', 'constant', 'function',
+ * 'meta' (decorators, annotations, preprocessor lines), 'operator', or null.
+ *
+ * Usage:
+ * const tokens = CodeHighlighter.tokenize('def add(a, b):\n    return a + b', 'python');
+ * // tokens[0] === 'keyword', tokens[4] === 'function', ...
+ */
+
+const CodeHighlighter = {
+  LANGUAGES: {
+    javascript: {
+      name: 'JavaScript',
+      keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+        'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+        'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'throw', 'try', 'typeof', 'var',
+        'void', 'while', 'yield'],
+      constants: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      quotes: ['"', '\''],
+      multilineQuotes: ['`']
+    },
+    python: {
+      name: 'Python',
+      keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+        'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+        'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'],
+      constants: ['True', 'False', 'None', 'self', 'cls'],
+      lineComment: '#',
+      blockComment: null,
+      quotes: ['"', '\''],
+      multilineQuotes: ['"""', '\'\'\''],
+      annotations: true
+    },
+    java: {
+      name: 'Java',
+      keywords: ['abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default', 'do',
+        'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import',
+        'instanceof', 'int', 'interface', 'long', 'new', 'package', 'private', 'protected', 'public', 'return',
+        'short', 'static', 'super', 'switch', 'synchronized', 'throw', 'throws', 'try', 'var', 'void', 'while'],
+      constants: ['true', 'false', 'null', 'this'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      quotes: ['"', '\''],
+      multilineQuotes: [],
+      annotations: true
+    },
+    c: {
+      name: 'C',
+      keywords: ['auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum',
+        'extern', 'float', 'for', 'goto', 'if', 'int', 'long', 'register', 'return', 'short', 'signed', 'sizeof',
+        'static', 'struct', 'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while'],
+      constants: ['NULL', 'true', 'false'],
+      lineComment: '//',
+      blockComment: ['/*', '*/'],
+      quotes: ['"', '\''],
+      multilineQuotes: [],
+      preprocessor: true
+    }
+  },
+
+  OPERATORS: '+-*/%=<>!&|^~?:',
+
+  list() {
+    return Object.keys(this.LANGUAGES).map(id => ({ id: id, name: this.LANGUAGES[id].name }));
+  },
+
+  has(languageId) {
+    return Object.prototype.hasOwnProperty.call(this.LANGUAGES, languageId);
+  },
+
+  // Token type for every character of the code; unknown languages are left plain
+  tokenize(code, languageId) {
+    const tokens = new Array(code.length).fill(null);
+    const language = this.LANGUAGES[languageId];
+    if (!language) {
+      return tokens;
+    }
+
+    const mark = (start, end, type) => {
+      tokens.fill(type, start, Math.min(end, code.length));
+    };
+    const isWordChar = char => /[A-Za-z0-9_$]/.test(char);
+    const startsWith = (text, index) => code.startsWith(text, index);
+
+    let i = 0;
+    while (i < code.length) {
+      const char = code[i];
+      let end = i + 1;
+
+      if (language.preprocessor && char === '#' && this.isLineStart(code, i)) {
+        end = this.findLineEnd(code, i);
+        mark(i, end, 'meta');
+      } else if (language.lineComment && startsWith(language.lineComment, i)) {
+        end = this.findLineEnd(code, i);
+        mark(i, end, 'comment');
+      } else if (language.blockComment && startsWith(language.blockComment[0], i)) {
+        const close = code.indexOf(language.blockComment[1], i + language.blockComment[0].length);
+        end = close === -1 ? code.length : close + language.blockComment[1].length;
+        mark(i, end, 'comment');
+      } else if (language.multilineQuotes.some(quote => startsWith(quote, i))) {
+        const quote = language.multilineQuotes.find(q => startsWith(q, i));
+        end = this.findStringEnd(code, i + quote.length, quote, true);
+        mark(i, end, 'string');
+      } else if (language.quotes.includes(char)) {
+        end = this.findStringEnd(code, i + 1, char, false);
+        mark(i, end, 'string');
+      } else if (/[0-9]/.test(char) && (i === 0 || !isWordChar(code[i - 1]))) {
+        while (end < code.length && /[0-9A-Za-z_.]/.test(code[end])) end++;
+        mark(i, end, 'number');
+      } else if (language.annotations && char === '@' && /[A-Za-z_]/.test(code[i + 1] || '')) {
+        while (end < code.length && /[A-Za-z0-9_.]/.test(code[end])) end++;
+        mark(i, end, 'meta');
+      } else if (/[A-Za-z_$]/.test(char)) {
+        while (end < code.length && isWordChar(code[end])) end++;
+        const word = code.slice(i, end);
+        if (language.keywords.includes(word)) {
+          mark(i, end, 'keyword');
+        } else if (language.constants.includes(word)) {
+          mark(i, end, 'constant');
+        } else if (this.nextNonSpace(code, end) === '(') {
+          mark(i, end, 'function');
+        }
+      } else if (this.OPERATORS.includes(char)) {
+        mark(i, end, 'operator');
+      }
+
+      i = end;
+    }
+
+    return tokens;
+  },
+
+  // Whether only spaces and tabs come before the index on its line
+  isLineStart(code, index) {
+    const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+    return /^[ \t]*$/.test(code.slice(lineStart, index));
+  },
+
+  // Index of the line break ending the line (or the end of the code)
+  findLineEnd(code, start) {
+    const newline = code.indexOf('\n', start);
+    return newline === -1 ? code.length : newline;
+  },
+
+  // Index just past the closing quote; single-line strings also stop at a line break
+  findStringEnd(code, start, quote, multiline) {
+    let i = start;
+    while (i < code.length) {
+      if (code[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (code.startsWith(quote, i)) {
+        return i + quote.length;
+      }
+      if (!multiline && code[i] === '\n') {
+        return i;
+      }
+      i++;
+    }
+    return code.length;
+  },
+
+  nextNonSpace(code, start) {
+    let i = start;
+    while (i < code.length && (code[i] === ' ' || code[i] === '\t')) i++;
+    return code[i];
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CodeHighlighter;
+} else {
+  window.CodeHighlighter = CodeHighlighter;
+}
@@ -0,0 +1,255 @@
+/**
+ * ConfigSchema - Every option of the typing simulator's configuration
+ *
+ * Each option declares its type and default, plus allowed values or a range
+ * where they apply. The simulator builds its configuration in layers:
+ * defaults, then client/config.json, then URL query parameters, then changes
+ * made at runtime (set-config commands). Invalid or unknown settings are
+ * skipped, keeping the value from the layer below, and reported. The server
+ * uses the same schema to check set-config commands and POST /api/config/validate.
+ *
+ * Rule fields:
+ * - type: 'boolean', 'string', 'number', 'integer', 'array' or 'object'
+ * - default: value when no layer sets the option (objects take their properties' defaults)
+ * - values: allowed values; min / max: allowed range; nullable: null is allowed too
+ * - items: rule for each array item; properties: rules for an object's properties
+ *
+ * Usage:
+ * const { config, errors } = ConfigSchema.resolve([
+ *   { source: 'config.json', values: fileConfig },
+ *   { source: 'URL', values: ConfigSchema.fromQuery(window.location.search) }
+ * ]);
+ */
+
+const ConfigSchema = {
+  OPTIONS: {
+    keyboard: { type: 'boolean', default: true },
+    keyboardLayout: { type: 'string', values: ['qwerty', 'dvorak', 'colemak', 'azerty', 'qwertz'], default: 'qwerty' }, // keyboard-layouts.js
+    keyTips: { type: 'boolean', default: false },
+    fingerZones: { type: 'boolean', default: false },
+    availableKeys: { type: 'array', items: { type: 'string' }, default: [] },
+    showStats: { type: 'boolean', default: false },
+    realTimeStats: {
+      type: 'array',
+      items: {
+        type: 'string',
+        values: ['speed', 'grossWpm', 'cpm', 'kspc', 'accuracy', 'adjustedAccuracy', 'time', 'errors', 'errorsLeft', 'chars']
+      },
+      default: []
+    },
+    legacyStatsExport: { type: 'boolean', default: false },
+    mode: { type: 'string', values: ['passage', 'timed', 'adaptive', 'code', 'race'], default: 'passage' },
+    timedDuration: { type: 'integer', values: [15, 30, 60, 120], default: 30 },
+    lessons: { type: 'boolean', default: false },
+    textLibrary: { type: 'boolean', default: false },
+    generatedText: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        length: { type: 'integer', min: 1, default: 200 },
+        wordLength: {
+          type: 'object',
+          properties: {
+            min: { type: 'integer', min: 1, default: 2 },
+            max: { type: 'integer', min: 1, default: 8 }
+          }
+        },
+        capitalization: { type: 'number', min: 0, max: 1, default: 0 },
+        punctuation: { type: 'number', min: 0, max: 1, default: 0 },
+        pseudoWords: { type: 'boolean', default: false }
+      }
+    },
+    hesitationThreshold: { type: 'number', min: 0, default: 1000 },
+    errorPolicy: {
+      type: 'object',
+      properties: {
+        stopOnError: { type: 'boolean', default: false },
+        backspace: { type: 'string', values: ['any', 'word', 'none'], default: 'any' },
+        mustFixErrors: { type: 'boolean', default: false }
+      }
+    },
+    equivalentCharacters: {
+      type: 'array',
+      items: { type: 'string', values: ['accents', 'quotes', 'dashes', 'spaces'] },
+      default: []
+    },
+    code: {
+      type: 'object',
+      properties: {
+        language: { type: 'string', nullable: true, default: null },
+        indentation: { type: 'string', values: ['skip', 'type'], default: 'skip' },
+        tabWidth: { type: 'integer', min: 1, default: 4 },
+        tabsEqualSpaces: { type: 'boolean', default: true }
+      }
+    }
+  },
+
+  // A fresh configuration with every default
+  defaults(properties = this.OPTIONS) {
+    const config = {};
+    Object.keys(properties).forEach(key => {
+      const rule = properties[key];
+      config[key] = rule.properties ? this.defaults(rule.properties) : this.clone(rule.default);
+    });
+    return config;
+  },
+
+  // Apply each layer in turn over the defaults
+  resolve(layers) {
+    let config = this.defaults();
+    const errors = [];
+    layers.forEach(layer => {
+      const result = this.merge(config, layer.values, layer.source);
+      config = result.config;
+      errors.push(...result.errors);
+    });
+    return { config: config, errors: errors };
+  },
+
+  // Valid settings from values over a copy of base; problems are prefixed with the source
+  merge(base, values, source) {
+    const config = this.clone(base);
+    const errors = [];
+    if (!this.isObject(values)) {
+      errors.push('settings must be an object');
+    } else {
+      this.mergeProperties(config, this.OPTIONS, values, '', errors);
+    }
+    return { config: config, errors: source ? errors.map(error => `${source}: ${error}`) : errors };
+  },
+
+  mergeProperties(target, properties, values, prefix, errors) {
+    Object.keys(values).forEach(key => {
+      const path = prefix + key;
+      const rule = Object.prototype.hasOwnProperty.call(properties, key) ? properties[key] : null;
+      if (!rule) {
+        errors.push(this.describeUnknown(key, properties, path));
+        return;
+      }
+      if (rule.properties && this.isObject(values[key])) {
+        // Objects are merged property by property, so one bad setting keeps its siblings
+        target[key] = this.isObject(target[key]) ? target[key] : {};
+        this.mergeProperties(target[key], rule.properties, values[key], `${path}.`, errors);
+        return;
+      }
+      const problem = this.check(rule, values[key], path);
+      if (problem) {
+        errors.push(problem);
+        return;
+      }
+      target[key] = this.clone(values[key]);
+    });
+  },
+
+  // Problems with a partial configuration (empty when it is valid)
+  validate(values) {
+    return this.merge(this.defaults(), values).errors;
+  },
+
+  // What is wrong with a value, or null when it follows the rule
+  check(rule, value, path) {
+    if (value === null && rule.nullable) {
+      return null;
+    }
+
+    switch (rule.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${path} must be true or false`;
+        break;
+      case 'string':
+        if (typeof value !== 'string') return `${path} must be a string`;
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !isFinite(value)) return `${path} must be a number`;
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return `${path} must be a whole number`;
+        break;
+      case 'array':
+        if (!Array.isArray(value)) return `${path} must be a list`;
+        for (let i = 0; i < value.length; i++) {
+          const problem = this.check(rule.items, value[i], `${path}[${i}]`);
+          if (problem) return problem;
+        }
+        break;
+      case 'object':
+        if (!this.isObject(value)) return `${path} must be an object`;
+        break;
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      return `${path} must be one of: ${rule.values.join(', ')}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${path} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${path} must be at most ${rule.max}`;
+    }
+    return null;
+  },
+
+  // Unknown options are usually typos, so suggest an option that differs only in case
+  describeUnknown(key, properties, path) {
+    const match = Object.keys(properties).find(name => name.toLowerCase() === key.toLowerCase());
+    return match ? `${path} is not an option (did you mean ${match}?)` : `${path} is not an option`;
+  },
+
+  // Settings from URL query parameters, e.g. ?mode=timed&timedDuration=60&realTimeStats=speed,accuracy
+  // or ?errorPolicy.backspace=word. Lists are comma-separated. Parameters that are
+  // not options (such as ?learner=) are left alone
+  fromQuery(search) {
+    const values = {};
+    new URLSearchParams(search).forEach((raw, name) => {
+      const path = name.split('.');
+      let rule = { properties: this.OPTIONS };
+      for (const key of path) {
+        rule = rule.properties && Object.prototype.hasOwnProperty.call(rule.properties, key) ? rule.properties[key] : null;
+        if (!rule) return;
+      }
+      if (rule.properties) return;
+
+      let target = values;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = this.parse(rule, raw);
+    });
+    return values;
+  },
+
+  // A query parameter as the option's type; values that do not parse are kept
+  // as strings so validation reports them
+  parse(rule, raw) {
+    if (raw === 'null' && rule.nullable) {
+      return null;
+    }
+    switch (rule.type) {
+      case 'boolean':
+        return raw === 'true' ? true : raw === 'false' ? false : raw;
+      case 'number':
+      case 'integer':
+        return raw.trim() !== '' && isFinite(Number(raw)) ? Number(raw) : raw;
+      case 'array':
+        return raw === '' ? [] : raw.split(',').map(item => this.parse(rule.items, item.trim()));
+      default:
+        return raw;
+    }
+  },
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigSchema;
+} else {
+  window.ConfigSchema = ConfigSchema;
+}
@@ -0,0 +1,165 @@
+/**
+ * Curriculum - Lesson manifest loading, pass criteria and per-learner lesson progress
+ *
+ * Lessons are listed in order in lessons.json. Each lesson restricts the keys
+ * the learner may type and provides either a fixed passage or a generator:
+ * - id / title / description: identifier and labels shown in the lesson picker
+ * - keys: allowed keys, in the same format as config.availableKeys
+ * - text: the passage to type, or
+ * - generator: { type: 'keys', length } for random groups of the allowed keys, or
+ *   { type: 'words', length, wordLength, capitalization, punctuation } for words
+ *   from the word list that use only the allowed keys (see text-generator.js)
+ * - passCriteria: { minWpm, minAccuracy } checked against net WPM and raw accuracy
+ * - errorPolicy: optional { stopOnError, backspace, mustFixErrors } overriding
+ *   config.errorPolicy while the lesson is active
+ * - equivalentCharacters: optional list of equivalence rules (see text-segmenter.js)
+ *   overriding config.equivalentCharacters while the lesson is active
+ *
+ * The first lesson is always unlocked; every other lesson unlocks once the one
+ * before it has been passed. Progress is kept in localStorage per learner.
+ *
+ * Usage:
+ * const lessons = await Curriculum.load('./lessons.json');
+ * const progress = Curriculum.loadProgress('learner-1234');
+ * const outcome = Curriculum.evaluate(lessons[0], stats);
+ */
+
+const Curriculum = {
+  PROGRESS_STORAGE_PREFIX: 'typing-simulator-lessons:',
+
+  // Load and validate the lesson manifest; invalid lessons are skipped with a warning
+  async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load lesson manifest (${response.status})`);
+    }
+    const manifest = await response.json();
+    const lessons = Array.isArray(manifest.lessons) ? manifest.lessons : [];
+
+    return lessons.filter((lesson, index) => {
+      const problem = this.validateLesson(lesson);
+      if (problem) {
+        console.warn(`Skipping lesson ${index} in ${url}: ${problem}`);
+        return false;
+      }
+      return true;
+    });
+  },
+
+  // Describe what is wrong with a lesson definition, or return null if it is usable
+  validateLesson(lesson) {
+    if (!lesson || typeof lesson.id !== 'string' || !lesson.id) {
+      return 'id must be a non-empty string';
+    }
+    if (typeof lesson.title !== 'string' || !lesson.title) {
+      return 'title must be a non-empty string';
+    }
+    if (!Array.isArray(lesson.keys) || lesson.keys.length === 0) {
+      return 'keys must be a non-empty array';
+    }
+    if (typeof lesson.text !== 'string' && !lesson.generator) {
+      return 'either text or generator is required';
+    }
+    if (lesson.generator && lesson.generator.type !== 'keys' && lesson.generator.type !== 'words') {
+      return `unknown generator type "${lesson.generator.type}"`;
+    }
+    return null;
+  },
+
+  getLesson(lessons, lessonId) {
+    return lessons.find(lesson => lesson.id === lessonId) || null;
+  },
+
+  // Lesson after the given one, or null if it is the last
+  getNextLesson(lessons, lessonId) {
+    const index = lessons.findIndex(lesson => lesson.id === lessonId);
+    return index !== -1 && index + 1 < lessons.length ? lessons[index + 1] : null;
+  },
+
+  isUnlocked(lessons, progress, lessonId) {
+    const index = lessons.findIndex(lesson => lesson.id === lessonId);
+    if (index === -1) {
+      return false;
+    }
+    return index === 0 || progress.passed.includes(lessons[index - 1].id);
+  },
+
+  // Text to type for a lesson; generated lessons get fresh text on every call
+  getLessonText(lesson, wordList = []) {
+    if (!lesson.generator) {
+      return lesson.text.trimEnd();
+    }
+    if (lesson.generator.type === 'words') {
+      const { type, ...options } = lesson.generator;
+      return TextGenerator.generate({ ...options, words: wordList, allowedKeys: lesson.keys });
+    }
+    return this.generateKeyDrill(lesson.keys, lesson.generator.length || 100);
+  },
+
+  // Random groups of 2-5 allowed keys separated by spaces
+  generateKeyDrill(keys, length) {
+    const chars = keys.filter(key => key.length === 1 && key !== ' ');
+    const groups = [];
+    let totalLength = 0;
+
+    while (totalLength < length) {
+      const groupLength = 2 + Math.floor(Math.random() * 4);
+      let group = '';
+      for (let i = 0; i < groupLength; i++) {
+        group += chars[Math.floor(Math.random() * chars.length)];
+      }
+      groups.push(group);
+      totalLength += group.length + 1;
+    }
+
+    return groups.join(' ');
+  },
+
+  // Check session stats against a lesson's pass criteria
+  // Returns { passed, failures } where failures describe each unmet criterion
+  evaluate(lesson, stats) {
+    const criteria = lesson.passCriteria || {};
+    const failures = [];
+
+    if (typeof criteria.minWpm === 'number' && stats.netWpm < criteria.minWpm) {
+      failures.push(`${criteria.minWpm} WPM needed (you reached ${stats.netWpm.toFixed(1)})`);
+    }
+    if (typeof criteria.minAccuracy === 'number' && stats.rawAccuracy < criteria.minAccuracy) {
+      failures.push(`${criteria.minAccuracy}% accuracy needed (you reached ${stats.rawAccuracy.toFixed(1)}%)`);
+    }
+
+    return { passed: failures.length === 0, failures: failures };
+  },
+
+  // Passed lessons and the lesson last selected (null for free practice)
+  loadProgress(learnerId) {
+    const progress = { passed: [], currentLessonId: null };
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.PROGRESS_STORAGE_PREFIX + learnerId));
+      if (stored && Array.isArray(stored.passed)) {
+        progress.passed = stored.passed;
+      }
+      if (stored && typeof stored.currentLessonId === 'string') {
+        progress.currentLessonId = stored.currentLessonId;
+      }
+    } catch (error) {
+      console.warn('Could not load lesson progress:', error);
+    }
+    return progress;
+  },
+
+  saveProgress(learnerId, progress) {
+    try {
+      localStorage.setItem(this.PROGRESS_STORAGE_PREFIX + learnerId, JSON.stringify(progress));
+    } catch (error) {
+      console.warn('Could not save lesson progress:', error);
+    }
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Curriculum;
+} else {
+  window.Curriculum = Curriculum;
+}
@@ -0,0 +1,95 @@
+/**
+ * EmbedApi - postMessage API for pages that embed the simulator in an iframe
+ *
+ * The parent frame sends commands as { target: 'typing-simulator', command, ...fields }:
+ * - start: { text, title, config } start a session; every field is optional.
+ *   text replaces the practice text and config is merged over the current
+ *   settings (see config-schema.js)
+ * - restart: {} start the current session again
+ * - pause / resume: {} stop and continue typing and the session clock
+ *
+ * The simulator posts events as { source: 'typing-simulator', event, ...fields }:
+ * - ready: { version } once it has loaded and accepts commands
+ * - started: {} on the first keystroke of a session
+ * - progress: { mode, title, state, position, length, wpm, accuracy, idleSeconds } after each keystroke
+ * - completed: { result } the session result, as sent to POST /api/sessions
+ * - error: { command, errors } when a command could not be carried out
+ *
+ * Commands and events need the simulator to be opened with the parent page's
+ * origin, e.g. ?embedOrigin=https://lms.example.com: commands are only accepted
+ * from that origin and events are only posted to it. Without it neither is
+ * exchanged, since results carry the learner's id and keystrokes.
+ *
+ * Usage (in the parent page):
+ * // The simulator is opened with ?embedOrigin=https://lms.example.com
+ * frame.contentWindow.postMessage({ target: 'typing-simulator', command: 'start', text: 'Hello' }, 'https://typing.example.com');
+ * window.addEventListener('message', event => console.log(event.data.event));
+ */
+
+const EmbedApi = {
+  VERSION: 1,
+  NAME: 'typing-simulator',
+
+  listeners: {},
+  origin: null, // The parent page's origin (?embedOrigin=); null exchanges nothing
+
+  // Whether the page is running inside a frame
+  isEmbedded() {
+    return typeof window !== 'undefined' && window.parent !== window;
+  },
+
+  on(command, listener) {
+    if (!this.listeners[command]) {
+      this.listeners[command] = [];
+    }
+    this.listeners[command].push(listener);
+  },
+
+  // Start accepting commands from the parent frame
+  listen() {
+    this.origin = this.toOrigin(new URLSearchParams(window.location.search).get('embedOrigin'));
+    if (this.origin === null) {
+      console.warn('EmbedApi: open the simulator with ?embedOrigin= set to the parent page\'s origin to send it commands and receive its events');
+    }
+    window.addEventListener('message', event => this.receive(event));
+  },
+
+  // The origin of a URL, or null for a missing, invalid or opaque one
+  toOrigin(url) {
+    try {
+      const origin = url ? new URL(url).origin : 'null';
+      return origin === 'null' ? null : origin;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  receive(event) {
+    if (event.source !== window.parent) return;
+    if (this.origin === null || event.origin !== this.origin) return;
+
+    const message = event.data;
+    if (!message || message.target !== this.NAME || typeof message.command !== 'string') return;
+
+    const listeners = this.listeners[message.command] || [];
+    if (listeners.length === 0) {
+      this.post('error', { command: message.command, errors: [`Unknown command: ${message.command}`] });
+      return;
+    }
+    listeners.forEach(listener => listener(message));
+  },
+
+  // Tell the parent frame what happened; does nothing outside a frame or
+  // without ?embedOrigin=
+  post(event, fields = {}) {
+    if (!this.isEmbedded() || this.origin === null) return;
+    window.parent.postMessage({ source: this.NAME, event: event, ...fields }, this.origin);
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbedApi;
+} else {
+  window.EmbedApi = EmbedApi;
+}
@@ -7,6 +7,9 @@
  * Note: Currently uses temporary modal components from bespoke-template.css.
  * When modal components are added to the design system, this should be updated to use them.
  *
+ * Other modals can extend HelpModal for the same markup, focus handling and
+ * closing behaviour (see progress-view.js).
+ *
  * Usage:
  * HelpModal.init({
  *   triggerSelector: '#btn-help',
@@ -18,7 +21,10 @@
 class HelpModal {
   constructor(options = {}) {
     this.options = {
-      triggerSelector: '#btn-help',
+      triggerSelector: '#btn-help', // May match several triggers
+      title: 'Help / User Guide',
+      closeLabel: 'Close help',
+      className: '', // Added to the modal element next to 'modal'
       content: '',
       theme: 'auto', // 'light', 'dark', or 'auto'
       customStyles: {},
@@ -27,7 +33,7 @@ class HelpModal {
 
     this.isOpen = false;
     this.modal = null;
-    this.trigger = null;
+    this.trigger = null; // The trigger that opened the modal last
 
     this.init();
   }
@@ -41,13 +47,13 @@ class HelpModal {
     // Create modal container using temporary modal classes from bespoke-template.css
     // TODO: Update to use design system modal classes when available
     this.modal = document.createElement('div');
-    this.modal.className = 'modal';
+    this.modal.className = `modal ${this.options.className}`.trim();
     this.modal.innerHTML = `
       <div class="modal-backdrop"></div>
       <div class="modal-content">
         <div class="modal-header">
-          <h2>Help / User Guide</h2>
-          <button class="modal-close" type="button" aria-label="Close help">×</button>
+          <h2>${this.options.title}</h2>
+          <button class="modal-close" type="button" aria-label="${this.options.closeLabel}">×</button>
         </div>
         <div class="modal-body">
           ${this.options.content}
@@ -61,22 +67,24 @@ class HelpModal {
   }
 
   bindEvents() {
-    // Find trigger element
-    this.trigger = document.querySelector(this.options.triggerSelector);
-    if (!this.trigger) {
-      console.warn(`HelpModal: Trigger element '${this.options.triggerSelector}' not found`);
+    // Find trigger elements
+    const triggers = Array.from(document.querySelectorAll(this.options.triggerSelector));
+    if (triggers.length === 0) {
+      console.warn(`${this.constructor.name}: Trigger element '${this.options.triggerSelector}' not found`);
       return;
     }
+    this.trigger = triggers[0];
 
-    // Convert link to button if needed
-    if (this.trigger.tagName === 'A') {
-      this.trigger.addEventListener('click', (e) => {
-        e.preventDefault();
+    triggers.forEach(trigger => {
+      trigger.addEventListener('click', (e) => {
+        // Convert link to button if needed
+        if (trigger.tagName === 'A') {
+          e.preventDefault();
+        }
+        this.trigger = trigger;
         this.open();
       });
-    } else {
-      this.trigger.addEventListener('click', () => this.open());
-    }
+    });
 
     // Close button
     const closeBtn = this.modal.querySelector('.modal-close');
@@ -0,0 +1,191 @@
+// instructor.js
+// Live view of every learner with the typing simulator open, fed by the /ws
+// channel (see the README). Learners who stop typing part-way through are
+// highlighted, and passages or restarts can be pushed to all learners, one room
+// or the selected learners.
+(function() {
+  // Seconds without a keystroke, part-way through a passage, before a learner counts as stuck
+  const STUCK_IDLE_SECONDS = 20;
+
+  const status = document.getElementById('status');
+  const learnerRows = document.getElementById('learner-rows');
+  const learnerCount = document.getElementById('learner-count');
+  const noLearners = document.getElementById('no-learners');
+  const selectAll = document.getElementById('select-all');
+  const commandTarget = document.getElementById('command-target');
+  const commandRoom = document.getElementById('command-room');
+  const assignedText = document.getElementById('assigned-text');
+
+  // Connected learners by client id, and the ones ticked for the next command
+  const learners = new Map();
+  const selected = new Set();
+
+  function setStatus(msg) {
+    status.textContent = msg;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function isStuck(learner) {
+    return learner.state === 'typing' && learner.idleSeconds >= STUCK_IDLE_SECONDS;
+  }
+
+  function describeState(learner) {
+    if (isStuck(learner)) return `Stuck (idle ${learner.idleSeconds}s)`;
+    if (learner.state === 'typing') return 'Typing';
+    if (learner.state === 'finished') return 'Finished';
+    return 'Not started';
+  }
+
+  function render() {
+    // Stuck learners first, then by learner id
+    const sorted = Array.from(learners.values()).sort((a, b) =>
+      Number(isStuck(b)) - Number(isStuck(a)) || a.learnerId.localeCompare(b.learnerId)
+    );
+
+    learnerRows.innerHTML = sorted.map(learner => {
+      const progress = learner.length > 0 ? Math.min(100, learner.position / learner.length * 100) : 0;
+      const practising = [learner.mode, learner.title].filter(Boolean).join(': ');
+      return `<tr class="${isStuck(learner) ? 'learner-stuck' : ''}">
+        <td><input type="checkbox" data-client-id="${learner.clientId}" ${selected.has(learner.clientId) ? 'checked' : ''} aria-label="Select ${escapeHtml(learner.learnerId)}" /></td>
+        <td>${escapeHtml(learner.learnerId)}</td>
+        <td>${learner.room === null ? '-' : escapeHtml(learner.room)}</td>
+        <td>${escapeHtml(practising)}</td>
+        <td title="${learner.position} of ${learner.length} characters"><span class="learner-progress"><span class="learner-progress-bar" style="width: ${progress.toFixed(1)}%"></span></span></td>
+        <td>${learner.wpm === null ? '-' : Math.round(learner.wpm)}</td>
+        <td>${learner.accuracy === null ? '-' : `${learner.accuracy.toFixed(1)}%`}</td>
+        <td class="learner-state">${describeState(learner)}</td>
+      </tr>`;
+    }).join('');
+
+    learnerCount.textContent = `(${learners.size})`;
+    noLearners.style.display = learners.size === 0 ? 'block' : 'none';
+    selectAll.checked = learners.size > 0 && selected.size === learners.size;
+    renderRoomOptions();
+    if (selected.size > 0) {
+      commandTarget.textContent = `${selected.size} selected ${selected.size === 1 ? 'learner' : 'learners'}`;
+    } else {
+      commandTarget.textContent = commandRoom.value ? `room ${commandRoom.value}` : 'all learners';
+    }
+    commandRoom.disabled = selected.size > 0;
+  }
+
+  // Rooms learners are in, to send a command to a whole room
+  function renderRoomOptions() {
+    const rooms = Array.from(new Set(Array.from(learners.values()).map(learner => learner.room).filter(Boolean))).sort();
+    const current = rooms.includes(commandRoom.value) ? commandRoom.value : '';
+    commandRoom.innerHTML = '<option value="">All rooms</option>' +
+      rooms.map(room => `<option value="${escapeHtml(room)}">${escapeHtml(room)}</option>`).join('');
+    commandRoom.value = current;
+  }
+
+  function handleMessage(data) {
+    switch (data.type) {
+      case 'learners':
+        learners.clear();
+        data.learners.forEach(learner => learners.set(learner.clientId, learner));
+        setStatus('Connected');
+        break;
+      case 'learner-update':
+        learners.set(data.learner.clientId, data.learner);
+        break;
+      case 'learner-left':
+        learners.delete(data.clientId);
+        selected.delete(data.clientId);
+        break;
+      case 'command-sent':
+        setStatus(`Sent ${data.command === 'set-text' ? 'passage' : 'restart'} to ${data.count} ${data.count === 1 ? 'learner' : 'learners'}`);
+        return;
+      case 'error':
+        setStatus(data.error);
+        return;
+      case 'close':
+        setStatus('Disconnected, reconnecting...');
+        learners.clear();
+        selected.clear();
+        break;
+      default:
+        return;
+    }
+    render();
+  }
+
+  // Send a command to the selected learners, else the chosen room, else everyone
+  function sendCommand(command, text) {
+    const fields = { command: command };
+    if (text !== undefined) {
+      fields.text = text;
+    }
+    if (selected.size > 0) {
+      fields.clientIds = Array.from(selected);
+    } else if (commandRoom.value) {
+      fields.room = commandRoom.value;
+    }
+    if (!LiveConnection.send('command', fields)) {
+      setStatus('Not connected');
+    }
+  }
+
+  // Connect as an instructor; ?key=... is passed on for servers with INSTRUCTOR_KEY set
+  function initializeWebSocket() {
+    ['learners', 'learner-update', 'learner-left', 'command-sent', 'error', 'close'].forEach(type => {
+      LiveConnection.on(type, handleMessage);
+    });
+
+    const identity = { role: 'instructor' };
+    const key = new URLSearchParams(window.location.search).get('key');
+    if (key !== null) {
+      identity.key = key;
+    }
+    LiveConnection.identify(identity);
+  }
+
+  function initialize() {
+    learnerRows.addEventListener('change', event => {
+      const clientId = event.target.getAttribute('data-client-id');
+      if (!clientId) return;
+      if (event.target.checked) {
+        selected.add(clientId);
+      } else {
+        selected.delete(clientId);
+      }
+      render();
+    });
+
+    commandRoom.addEventListener('change', render);
+
+    selectAll.addEventListener('change', () => {
+      selected.clear();
+      if (selectAll.checked) {
+        learners.forEach((learner, clientId) => selected.add(clientId));
+      }
+      render();
+    });
+
+    document.getElementById('btn-send-text').addEventListener('click', () => {
+      const text = assignedText.value.trim();
+      if (!text) {
+        setStatus('Enter a passage to send');
+        return;
+      }
+      sendCommand('set-text', text);
+    });
+
+    document.getElementById('btn-send-restart').addEventListener('click', () => {
+      sendCommand('restart');
+    });
+
+    render();
+    initializeWebSocket();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,159 @@
+/**
+ * KeyStats - Per-key and per-bigram error rates and latency across sessions
+ *
+ * Built from the keystroke log of each finished session and accumulated per
+ * learner in localStorage. Keys are stored as the lowercase expected character
+ * (' ' for space); bigrams as the two expected characters typed in a row.
+ *
+ * Latency is the time since the previous keystroke, counted only for unbroken
+ * typing (the previous keystroke inserted the character just before).
+ *
+ * A key's weakness score is its error rate plus a latency penalty for keys
+ * slower than the learner's average (see scoreEntry). Only keys and bigrams
+ * with at least MIN_ATTEMPTS attempts are ranked.
+ *
+ * Usage:
+ * const stats = KeyStats.merge(KeyStats.load(learnerId), KeyStats.fromKeystrokes(keystrokeLog));
+ * KeyStats.save(learnerId, stats);
+ * const weak = KeyStats.getWeakest(stats); // { keys: [{ key, score, ... }], bigrams: [...] }
+ */
+
+const KeyStats = {
+  STORAGE_PREFIX: 'typing-simulator-key-stats:',
+  MIN_ATTEMPTS: 5,
+  LATENCY_WEIGHT: 0.25, // Score added per 100% slower than the learner's average
+
+  empty() {
+    return { keys: {}, bigrams: {} };
+  },
+
+  // Stats for a single session
+  fromKeystrokes(keystrokes) {
+    const stats = this.empty();
+
+    keystrokes.forEach((entry, index) => {
+      if (entry.type !== 'insert') return;
+
+      const key = entry.expected.toLowerCase();
+      const previous = index > 0 ? keystrokes[index - 1] : null;
+      const unbroken = previous !== null && previous.type === 'insert' && previous.index === entry.index - 1;
+      const latency = unbroken ? entry.timestamp - previous.timestamp : null;
+      const isError = entry.typed !== entry.expected;
+
+      this.addAttempt(stats.keys, key, isError, latency);
+      if (unbroken) {
+        this.addAttempt(stats.bigrams, previous.expected.toLowerCase() + key, isError, latency);
+      }
+    });
+
+    return stats;
+  },
+
+  addAttempt(table, name, isError, latency) {
+    if (!table[name]) {
+      table[name] = { attempts: 0, errors: 0, timedAttempts: 0, totalLatency: 0 };
+    }
+    const entry = table[name];
+    entry.attempts++;
+    if (isError) {
+      entry.errors++;
+    }
+    if (latency !== null) {
+      entry.timedAttempts++;
+      entry.totalLatency += latency;
+    }
+  },
+
+  // Combine accumulated stats with another session's stats (returns a new object)
+  merge(total, session) {
+    const merged = this.empty();
+    ['keys', 'bigrams'].forEach(tableName => {
+      [total[tableName], session[tableName]].forEach(table => {
+        Object.keys(table).forEach(name => {
+          const entry = table[name];
+          if (!merged[tableName][name]) {
+            merged[tableName][name] = { attempts: 0, errors: 0, timedAttempts: 0, totalLatency: 0 };
+          }
+          const target = merged[tableName][name];
+          target.attempts += entry.attempts;
+          target.errors += entry.errors;
+          target.timedAttempts += entry.timedAttempts;
+          target.totalLatency += entry.totalLatency;
+        });
+      });
+    });
+    return merged;
+  },
+
+  // Weakest keys and bigrams, worst first
+  getWeakest(stats, limit = 5) {
+    return {
+      keys: this.rank(stats.keys, limit),
+      bigrams: this.rank(stats.bigrams, limit)
+    };
+  },
+
+  rank(table, limit) {
+    // Spaces and line breaks are left out: drills practise them between every word anyway
+    const names = Object.keys(table).filter(name =>
+      !/\s/.test(name) && table[name].attempts >= this.MIN_ATTEMPTS
+    );
+
+    // Average latency over every ranked entry is the baseline for "slow"
+    let timedAttempts = 0;
+    let totalLatency = 0;
+    names.forEach(name => {
+      timedAttempts += table[name].timedAttempts;
+      totalLatency += table[name].totalLatency;
+    });
+    const averageLatency = timedAttempts > 0 ? totalLatency / timedAttempts : 0;
+
+    return names
+      .map(name => this.scoreEntry(name, table[name], averageLatency))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  },
+
+  // Error rate plus LATENCY_WEIGHT for every 100% the entry is slower than average
+  scoreEntry(name, entry, averageLatency) {
+    const errorRate = entry.errors / entry.attempts;
+    const latency = entry.timedAttempts > 0 ? entry.totalLatency / entry.timedAttempts : 0;
+    const slowness = averageLatency > 0 && latency > averageLatency ? latency / averageLatency - 1 : 0;
+
+    return {
+      key: name,
+      attempts: entry.attempts,
+      errorRate: errorRate,
+      averageLatency: latency,
+      score: errorRate + slowness * this.LATENCY_WEIGHT
+    };
+  },
+
+  load(learnerId) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_PREFIX + learnerId));
+      if (stored && stored.keys && stored.bigrams) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Could not load key stats:', error);
+    }
+    return this.empty();
+  },
+
+  save(learnerId, stats) {
+    try {
+      localStorage.setItem(this.STORAGE_PREFIX + learnerId, JSON.stringify(stats));
+    } catch (error) {
+      console.warn('Could not save key stats:', error);
+    }
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyStats;
+} else {
+  window.KeyStats = KeyStats;
+}
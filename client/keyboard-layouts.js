@@ -0,0 +1,239 @@
+/**
+ * KeyboardLayouts - Layout definitions for the on-screen keyboard
+ *
+ * Each layout describes what the keyboard looks like and how characters are typed on it:
+ * - id / name: identifier used in config.json (`keyboardLayout`) and the label shown in the picker
+ * - rows: keys from top to bottom as typed without Shift. Letters are lowercase; the special
+ *   keys 'backspace', 'tab', 'caps', 'enter', 'shift' and 'space' are rendered as wide keys
+ * - shift: characters typed with Shift, mapped to the key that produces them. Uppercase
+ *   letters do not need entries; they map to their lowercase key automatically
+ * - fingers: one string per row with a finger code for every key in that row:
+ *   LP/LR/LM/LI = left pinky/ring/middle/index, RI/RM/RR/RP = right index/middle/ring/pinky,
+ *   TH = thumb. Touch-typing fingers depend on a key's physical position, so layouts on the
+ *   same physical keyboard share one assignment (ANSI_FINGERS or ISO_FINGERS)
+ *
+ * The home keys (where the index fingers rest, F and J on QWERTY) are also positional:
+ * the fourth and seventh letter keys of the home row on every layout.
+ *
+ * Usage:
+ * const layout = KeyboardLayouts.get('dvorak');
+ * KeyboardLayouts.getFinger(layout, 'e'); // { hand: 'left', finger: 'middle' }
+ */
+
+(function() {
+  const ANSI_FINGERS = [
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP RP',
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP RP',
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP',
+    'LP LP LR LM LI LI RI RI RM RR RP RP',
+    'TH'
+  ];
+
+  // ISO keyboards have an extra key left of Z and a tall Enter key
+  const ISO_FINGERS = [
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP RP',
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP',
+    'LP LP LR LM LI LI RI RI RM RR RP RP RP RP',
+    'LP LP LP LR LM LI LI RI RI RM RR RP RP',
+    'TH'
+  ];
+
+  const US_SHIFT = {
+    '!': '1', '@': '2', '#': '3', '$': '4', '%': '5',
+    '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\',
+    ':': ';', '"': "'", '<': ',', '>': '.', '?': '/', '~': '`'
+  };
+
+  // Row and key positions of the index-finger home keys (the home row starts with Caps)
+  const HOME_ROW_INDEX = 2;
+  const HOME_KEY_INDICES = [4, 7];
+
+  const FINGER_NAMES = {
+    LP: { hand: 'left', finger: 'pinky' },
+    LR: { hand: 'left', finger: 'ring' },
+    LM: { hand: 'left', finger: 'middle' },
+    LI: { hand: 'left', finger: 'index' },
+    RI: { hand: 'right', finger: 'index' },
+    RM: { hand: 'right', finger: 'middle' },
+    RR: { hand: 'right', finger: 'ring' },
+    RP: { hand: 'right', finger: 'pinky' },
+    TH: { hand: 'both', finger: 'thumb' }
+  };
+
+  const KeyboardLayouts = {
+    DEFAULT_LAYOUT: 'qwerty',
+
+    layouts: {
+      qwerty: {
+        id: 'qwerty',
+        name: 'QWERTY (US)',
+        rows: [
+          ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'backspace'],
+          ['tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+          ['caps', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'", 'enter'],
+          ['shift', 'z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/', 'shift'],
+          ['space']
+        ],
+        shift: US_SHIFT,
+        fingers: ANSI_FINGERS
+      },
+
+      dvorak: {
+        id: 'dvorak',
+        name: 'Dvorak',
+        rows: [
+          ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '[', ']', 'backspace'],
+          ['tab', "'", ',', '.', 'p', 'y', 'f', 'g', 'c', 'r', 'l', '/', '=', '\\'],
+          ['caps', 'a', 'o', 'e', 'u', 'i', 'd', 'h', 't', 'n', 's', '-', 'enter'],
+          ['shift', ';', 'q', 'j', 'k', 'x', 'b', 'm', 'w', 'v', 'z', 'shift'],
+          ['space']
+        ],
+        shift: US_SHIFT,
+        fingers: ANSI_FINGERS
+      },
+
+      colemak: {
+        id: 'colemak',
+        name: 'Colemak',
+        rows: [
+          ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'backspace'],
+          ['tab', 'q', 'w', 'f', 'p', 'g', 'j', 'l', 'u', 'y', ';', '[', ']', '\\'],
+          ['caps', 'a', 'r', 's', 't', 'd', 'h', 'n', 'e', 'i', 'o', "'", 'enter'],
+          ['shift', 'z', 'x', 'c', 'v', 'b', 'k', 'm', ',', '.', '/', 'shift'],
+          ['space']
+        ],
+        shift: US_SHIFT,
+        fingers: ANSI_FINGERS
+      },
+
+      azerty: {
+        id: 'azerty',
+        name: 'AZERTY (French)',
+        rows: [
+          ['²', '&', 'é', '"', "'", '(', '-', 'è', '_', 'ç', 'à', ')', '=', 'backspace'],
+          ['tab', 'a', 'z', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '^', '$'],
+          ['caps', 'q', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'ù', '*', 'enter'],
+          ['shift', '<', 'w', 'x', 'c', 'v', 'b', 'n', ',', ';', ':', '!', 'shift'],
+          ['space']
+        ],
+        shift: {
+          '1': '&', '2': 'é', '3': '"', '4': "'", '5': '(',
+          '6': '-', '7': 'è', '8': '_', '9': 'ç', '0': 'à',
+          '°': ')', '+': '=', '¨': '^', '£': '$', '%': 'ù',
+          'µ': '*', '>': '<', '?': ',', '.': ';', '/': ':', '§': '!'
+        },
+        fingers: ISO_FINGERS
+      },
+
+      qwertz: {
+        id: 'qwertz',
+        name: 'QWERTZ (German)',
+        rows: [
+          ['^', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', 'ß', '´', 'backspace'],
+          ['tab', 'q', 'w', 'e', 'r', 't', 'z', 'u', 'i', 'o', 'p', 'ü', '+'],
+          ['caps', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'ö', 'ä', '#', 'enter'],
+          ['shift', '<', 'y', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '-', 'shift'],
+          ['space']
+        ],
+        shift: {
+          '°': '^', '!': '1', '"': '2', '§': '3', '$': '4', '%': '5',
+          '&': '6', '/': '7', '(': '8', ')': '9', '=': '0', '?': 'ß',
+          '`': '´', '*': '+', "'": '#', '>': '<', ';': ',', ':': '.', '_': '-'
+        },
+        fingers: ISO_FINGERS
+      }
+    },
+
+    // All bundled layouts, in picker order
+    list() {
+      return Object.values(this.layouts);
+    },
+
+    // Look up a layout by id, falling back to the default layout
+    get(id) {
+      if (this.layouts[id]) {
+        return this.layouts[id];
+      }
+      if (id) {
+        console.warn(`Unknown keyboard layout "${id}", using ${this.DEFAULT_LAYOUT}`);
+      }
+      return this.layouts[this.DEFAULT_LAYOUT];
+    },
+
+    // Whether a key (as listed in the layout rows) exists on the layout
+    hasKey(layout, key) {
+      return layout.rows.some(row => row.includes(key));
+    },
+
+    // Key that has to be pressed to type a character (Shift is reported separately)
+    getBaseKey(layout, char) {
+      if (layout.shift[char]) {
+        return layout.shift[char];
+      }
+      const lower = char.toLowerCase();
+      if (lower !== char && this.hasKey(layout, lower)) {
+        return lower;
+      }
+      return char;
+    },
+
+    // Whether a character needs Shift on this layout
+    requiresShift(layout, char) {
+      if (layout.shift[char]) {
+        return true;
+      }
+      const lower = char.toLowerCase();
+      return lower !== char && this.hasKey(layout, lower);
+    },
+
+    // Finger assigned to a key, or null if the key is not on the layout
+    // For keys that appear twice (Shift) the first occurrence is used
+    getFinger(layout, key) {
+      for (let rowIndex = 0; rowIndex < layout.rows.length; rowIndex++) {
+        const keyIndex = layout.rows[rowIndex].indexOf(key);
+        if (keyIndex !== -1) {
+          const code = layout.fingers[rowIndex].split(' ')[keyIndex];
+          return FINGER_NAMES[code] || null;
+        }
+      }
+      return null;
+    },
+
+    // Finger codes for one row, aligned with layout.rows[rowIndex]
+    getRowFingers(layout, rowIndex) {
+      return layout.fingers[rowIndex].split(' ').map(code => FINGER_NAMES[code] || null);
+    },
+
+    // Keys the index fingers rest on (['f', 'j'] on QWERTY)
+    getHomeKeys(layout) {
+      const homeRow = layout.rows[HOME_ROW_INDEX];
+      return HOME_KEY_INDICES.map(index => homeRow[index]);
+    },
+
+    // All fingers from left pinky to right pinky, then the thumbs
+    listFingers() {
+      return Object.values(FINGER_NAMES);
+    },
+
+    // Stable identifier for a finger, e.g. 'left-index' or 'thumb'
+    getFingerId(finger) {
+      return finger.finger === 'thumb' ? 'thumb' : `${finger.hand}-${finger.finger}`;
+    },
+
+    // Human-readable finger name, e.g. 'Left index' or 'Thumb'
+    getFingerLabel(finger) {
+      if (finger.finger === 'thumb') {
+        return 'Thumb';
+      }
+      return `${finger.hand === 'left' ? 'Left' : 'Right'} ${finger.finger}`;
+    }
+  };
+
+  // Export for use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyboardLayouts;
+  } else {
+    window.KeyboardLayouts = KeyboardLayouts;
+  }
+})();
@@ -0,0 +1,127 @@
+/**
+ * LiveConnection - The page's connection to the server's /ws WebSocket
+ *
+ * One socket per page, shared by everything that talks to the server (status
+ * messages, race rooms, instructor commands). Messages follow MessageProtocol;
+ * listeners subscribe by message type instead of parsing the socket themselves.
+ * Lost connections are retried every few seconds, and the identity given to
+ * identify() is sent again as `hello` each time the socket opens.
+ *
+ * Besides the server's message types, listeners can subscribe to:
+ * - open: the socket connected and hello was sent
+ * - close: the socket closed (a reconnect is already scheduled)
+ *
+ * Usage:
+ * LiveConnection.on('message', message => setStatus(message.message));
+ * LiveConnection.identify({ role: 'learner', learnerId: 'ada' });
+ * LiveConnection.send('join', { room: 'lunch-break' });
+ */
+
+const LiveConnection = {
+  RECONNECT_DELAY_MS: 3000,
+
+  socket: null,
+  identity: null,
+  clientId: null,
+  listeners: {},
+  reconnectTimeout: null,
+
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+  },
+
+  off(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(other => other !== listener);
+    }
+  },
+
+  emit(type, message) {
+    (this.listeners[type] || []).forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`Error handling ${type} message:`, error);
+      }
+    });
+  },
+
+  // Say who this page is and connect; the identity is resent after reconnects
+  identify(identity) {
+    this.identity = identity;
+    if (this.isOpen()) {
+      this.send('hello', identity);
+    } else {
+      this.connect();
+    }
+  },
+
+  connect() {
+    if (this.socket || typeof WebSocket === 'undefined') return;
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    let socket;
+    try {
+      socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+    } catch (error) {
+      console.error('Failed to create WebSocket connection:', error);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.identity) {
+        this.send('hello', this.identity);
+      }
+      this.emit('open', { type: 'open' });
+    };
+    socket.onmessage = event => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error('Error parsing WebSocket message:', error);
+        return;
+      }
+      if (message.type === 'welcome') {
+        this.clientId = message.clientId;
+      }
+      this.emit(message.type, message);
+    };
+    socket.onerror = error => {
+      console.error('WebSocket error:', error);
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.clientId = null;
+      this.reconnectTimeout = setTimeout(() => this.connect(), this.RECONNECT_DELAY_MS);
+      this.emit('close', { type: 'close' });
+    };
+  },
+
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  },
+
+  // Send a message; returns false when not connected
+  send(type, fields = {}) {
+    if (!this.isOpen()) {
+      return false;
+    }
+    this.socket.send(JSON.stringify(MessageProtocol.create(type, fields)));
+    return true;
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiveConnection;
+} else {
+  window.LiveConnection = LiveConnection;
+}
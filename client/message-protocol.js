@@ -0,0 +1,161 @@
+/**
+ * MessageProtocol - Messages exchanged over the /ws WebSocket
+ *
+ * Every message is a JSON object with the protocol version `v` and a `type`;
+ * the other fields depend on the type. Shared by the server, which validates
+ * what clients send against CLIENT_MESSAGES, and by live-connection.js.
+ * The README lists every message with its fields.
+ *
+ * A client starts with `hello` to say who it is (a learner with the typing
+ * simulator open, or an instructor) and gets `welcome` with its client id.
+ * Learners may join one room at a time; rooms are where races happen, and
+ * instructor commands can be sent to a room or to a list of client ids.
+ *
+ * Field rules: 'string', 'integer', 'number' (non-negative), 'room', 'name',
+ * 'learnerId', 'text', 'object', a list of allowed values, or 'clientIds'; a trailing '?'
+ * makes the field optional, and 'number|null' style rules also allow null.
+ *
+ * Usage:
+ * const message = MessageProtocol.create('join', { room: 'lunch-break' });
+ * const errors = MessageProtocol.validate(JSON.parse(raw)); // [] when valid
+ */
+
+const MessageProtocol = {
+  VERSION: 1,
+
+  ROOM_PATTERN: /^[A-Za-z0-9_-]{1,40}$/,
+  LEARNER_ID_PATTERN: /^[A-Za-z0-9._@-]{1,100}$/,
+  MAX_NAME_LENGTH: 30,
+  MAX_TEXT_LENGTH: 10000,
+
+  // Messages a client may send: the roles allowed to send them and their fields
+  CLIENT_MESSAGES: {
+    hello: {
+      roles: null, // Anyone; must come first
+      fields: { role: ['learner', 'instructor'], learnerId: 'learnerId?', key: 'string?' }
+    },
+    join: { roles: ['learner'], fields: { room: 'room', name: 'name?' } },
+    leave: { roles: ['learner'], fields: {} },
+    progress: {
+      roles: ['learner'],
+      fields: {
+        mode: 'string|null',
+        title: 'string|null',
+        state: ['waiting', 'typing', 'finished'],
+        position: 'integer',
+        length: 'integer',
+        wpm: 'number|null',
+        accuracy: 'number|null',
+        idleSeconds: 'number|null'
+      }
+    },
+    result: {
+      roles: ['learner'],
+      fields: { mode: 'string|null', position: 'integer', wpm: 'number', accuracy: 'number' }
+    },
+    'start-race': { roles: ['learner'], fields: {} },
+    command: {
+      roles: ['instructor'],
+      fields: {
+        command: ['restart', 'set-text', 'set-config', 'lock', 'unlock'],
+        text: 'text?', // set-text: the passage, and optionally its title
+        title: 'string?',
+        config: 'object?', // set-config: settings merged over config.json
+        message: 'string?', // lock: shown to the learner
+        room: 'room?',
+        clientIds: 'clientIds?'
+      }
+    }
+  },
+
+  // Messages the server sends
+  SERVER_MESSAGES: [
+    'welcome', 'error', 'message',
+    'joined', 'left', 'race-state', 'race-start', 'race-results',
+    'learners', 'learner-update', 'learner-left', 'command', 'command-sent'
+  ],
+
+  create(type, fields = {}) {
+    return { v: this.VERSION, type: type, ...fields };
+  },
+
+  // The CLIENT_MESSAGES entry for a type, or null for types the protocol does not
+  // define (including names inherited from Object.prototype, such as toString)
+  getSpec(type) {
+    return Object.prototype.hasOwnProperty.call(this.CLIENT_MESSAGES, type) ? this.CLIENT_MESSAGES[type] : null;
+  },
+
+  // Problems with a message a client sent (empty when it is valid)
+  validate(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return ['message must be an object'];
+    }
+    if (message.v !== this.VERSION) {
+      return [`v must be ${this.VERSION}`];
+    }
+    const spec = this.getSpec(message.type);
+    if (!spec) {
+      return [`unknown message type: ${message.type}`];
+    }
+
+    const errors = [];
+    Object.keys(spec.fields).forEach(field => {
+      const rule = spec.fields[field];
+      const value = message[field];
+      const optional = typeof rule === 'string' && rule.endsWith('?');
+      if (value === undefined) {
+        if (!optional) errors.push(`${field} is required`);
+        return;
+      }
+      if (!this.checkField(optional ? rule.slice(0, -1) : rule, value)) {
+        errors.push(`${field} is invalid`);
+      }
+    });
+    if (message.type === 'command' && message.command === 'set-text' && message.text === undefined) {
+      errors.push('text is required');
+    }
+    if (message.type === 'command' && message.command === 'set-config' && message.config === undefined) {
+      errors.push('config is required');
+    }
+    return errors;
+  },
+
+  checkField(rule, value) {
+    if (Array.isArray(rule)) {
+      return rule.includes(value);
+    }
+    if (rule.endsWith('|null')) {
+      return value === null || this.checkField(rule.slice(0, -'|null'.length), value);
+    }
+
+    switch (rule) {
+      case 'string':
+        return typeof value === 'string';
+      case 'integer':
+        return Number.isInteger(value) && value >= 0;
+      case 'number':
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+      case 'room':
+        return typeof value === 'string' && this.ROOM_PATTERN.test(value);
+      case 'name':
+        return typeof value === 'string' && value.length <= this.MAX_NAME_LENGTH;
+      case 'learnerId':
+        return typeof value === 'string' && this.LEARNER_ID_PATTERN.test(value);
+      case 'text':
+        return typeof value === 'string' && value.trim().length > 0 && value.length <= this.MAX_TEXT_LENGTH;
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'clientIds':
+        return Array.isArray(value) && value.every(id => typeof id === 'string');
+      default:
+        return false;
+    }
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageProtocol;
+} else {
+  window.MessageProtocol = MessageProtocol;
+}
@@ -0,0 +1,136 @@
+/**
+ * ProgressView - Modal charting a learner's WPM and accuracy across attempts
+ *
+ * Loads the learner's session history from GET /api/sessions and draws
+ * dependency-free SVG line charts. Extends HelpModal for the modal itself.
+ *
+ * Usage:
+ * ProgressView.init({
+ *   triggerSelector: '#btn-progress, #btn-stats-progress',
+ *   learnerId: 'learner-1234'
+ * });
+ */
+
+class ProgressView extends HelpModal {
+  constructor(options = {}) {
+    super({
+      triggerSelector: '#btn-progress',
+      title: 'Progress',
+      closeLabel: 'Close progress',
+      className: 'progress-view',
+      learnerId: '',
+      limit: 50, // Most recent attempts to chart
+      ...options
+    });
+  }
+
+  get body() {
+    return this.modal.querySelector('.modal-body');
+  }
+
+  // Reload the history each time, so attempts finished since the last look show up
+  async open() {
+    if (this.isOpen) return;
+
+    super.open();
+    this.body.innerHTML = '<p class="progress-message">Loading…</p>';
+    await this.load();
+  }
+
+  async load() {
+    const params = new URLSearchParams({
+      learnerId: this.options.learnerId,
+      limit: String(this.options.limit)
+    });
+
+    try {
+      const response = await fetch(`/api/sessions?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.render(data.sessions);
+    } catch (error) {
+      console.error('Failed to load progress:', error);
+      this.body.innerHTML = '<p class="progress-message">Progress could not be loaded.</p>';
+    }
+  }
+
+  render(sessions) {
+    if (sessions.length === 0) {
+      this.body.innerHTML = '<p class="progress-message">No completed sessions yet. Finish a passage to start tracking your progress.</p>';
+      return;
+    }
+
+    const speeds = sessions.map(session => session.stats.speed);
+    const accuracies = sessions.map(session => session.stats.accuracy);
+    const averageAccuracy = accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length;
+
+    this.body.innerHTML = `
+      <div class="progress-summary">
+        ${this.renderSummaryItem('Attempts', sessions.length)}
+        ${this.renderSummaryItem('Best WPM', Math.max(...speeds).toFixed(1))}
+        ${this.renderSummaryItem('Latest WPM', speeds[speeds.length - 1].toFixed(1))}
+        ${this.renderSummaryItem('Avg accuracy', averageAccuracy.toFixed(1) + '%')}
+      </div>
+      <h3>Speed (WPM)</h3>
+      ${this.renderChart(sessions, speeds, { format: value => value.toFixed(1) + ' WPM' })}
+      <h3>Accuracy</h3>
+      ${this.renderChart(sessions, accuracies, { max: 100, format: value => value.toFixed(1) + '%' })}
+    `;
+  }
+
+  renderSummaryItem(label, value) {
+    return `
+      <div class="progress-summary-item">
+        <span class="progress-summary-value">${value}</span>
+        <span class="progress-summary-label">${label}</span>
+      </div>
+    `;
+  }
+
+  // Line chart of one value per attempt, oldest on the left
+  renderChart(sessions, values, { max, format }) {
+    const width = 560;
+    const height = 180;
+    const padding = { top: 12, right: 16, bottom: 24, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const yMax = max || Math.max(10, Math.ceil(Math.max(...values) * 1.1));
+    const x = index => padding.left + (values.length === 1 ? plotWidth / 2 : (index / (values.length - 1)) * plotWidth);
+    const y = value => padding.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight;
+
+    const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    const markers = values.map((value, index) => {
+      const date = new Date(sessions[index].createdAt).toLocaleString();
+      return `<circle class="progress-chart-point" cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4">` +
+        `<title>Attempt ${index + 1} (${date}): ${format(value)}</title></circle>`;
+    }).join('');
+
+    return `
+      <svg class="progress-chart" viewBox="0 0 ${width} ${height}" role="img">
+        <line class="progress-chart-axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}"></line>
+        <line class="progress-chart-axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${padding.top + plotHeight}"></line>
+        <text class="progress-chart-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${yMax}</text>
+        <text class="progress-chart-label" x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">0</text>
+        <text class="progress-chart-label" x="${padding.left}" y="${height - 6}">1</text>
+        <text class="progress-chart-label" x="${width - padding.right}" y="${height - 6}" text-anchor="end">${values.length}</text>
+        <polyline class="progress-chart-line" points="${points}"></polyline>
+        ${markers}
+      </svg>
+    `;
+  }
+
+  // Public API methods
+  static init(options) {
+    return new ProgressView(options);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressView;
+} else {
+  window.ProgressView = ProgressView;
+}
@@ -0,0 +1,97 @@
+/**
+ * RaceClient - Race rooms over the page's LiveConnection
+ *
+ * Players in the same room type the same passage. The server picks the
+ * passage, runs a shared countdown and relays everyone's progress; see the
+ * README for the messages.
+ *
+ * Messages passed to listeners (by type):
+ * - joined: { room, name } after joining a room (the player id is LiveConnection.clientId)
+ * - left: { room } after leaving it
+ * - race-state: { room, state, players } whenever a player joins, leaves or moves;
+ *   state is 'waiting', 'countdown', 'racing' or 'finished'
+ * - race-start: { room, textId, title, text, countdownMs } when a race is started
+ * - race-results: { room, textId, results } the final leaderboard
+ * - close: when the connection to the server was lost (the room is gone)
+ * Refused requests arrive as LiveConnection `error` messages.
+ *
+ * Usage:
+ * RaceClient.on(message => console.log(message.type));
+ * RaceClient.join('lunch-break', 'Ada');
+ * RaceClient.start();
+ */
+
+const RaceClient = {
+  // Progress reports are sent at most this often while typing
+  PROGRESS_INTERVAL_MS: 250,
+  NAME_STORAGE_KEY: 'typing-simulator-race-name',
+  MESSAGE_TYPES: ['joined', 'left', 'race-state', 'race-start', 'race-results', 'close'],
+
+  pendingProgress: null,
+  progressTimeout: null,
+  lastProgressAt: 0,
+
+  on(listener) {
+    this.MESSAGE_TYPES.forEach(type => LiveConnection.on(type, listener));
+  },
+
+  // Returns false when the server cannot be reached
+  join(room, name) {
+    return LiveConnection.send('join', { room: room, name: name });
+  },
+
+  start() {
+    LiveConnection.send('start-race');
+  },
+
+  // Report progress (the fields of a progress message); frequent reports are combined
+  sendProgress(progress) {
+    this.pendingProgress = progress;
+    if (this.progressTimeout) return;
+
+    const wait = Math.max(0, this.lastProgressAt + this.PROGRESS_INTERVAL_MS - Date.now());
+    this.progressTimeout = setTimeout(() => this.flushProgress(), wait);
+  },
+
+  // Send any combined report now, e.g. before the result
+  flushProgress() {
+    clearTimeout(this.progressTimeout);
+    this.progressTimeout = null;
+    if (this.pendingProgress) {
+      LiveConnection.send('progress', this.pendingProgress);
+      this.pendingProgress = null;
+      this.lastProgressAt = Date.now();
+    }
+  },
+
+  leave() {
+    this.pendingProgress = null;
+    this.flushProgress();
+    LiveConnection.send('leave');
+  },
+
+  // The name shown to other players, remembered between visits
+  loadName() {
+    try {
+      return localStorage.getItem(this.NAME_STORAGE_KEY) || '';
+    } catch (error) {
+      console.warn('Could not load race name:', error);
+      return '';
+    }
+  },
+
+  saveName(name) {
+    try {
+      localStorage.setItem(this.NAME_STORAGE_KEY, name);
+    } catch (error) {
+      console.warn('Could not save race name:', error);
+    }
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RaceClient;
+} else {
+  window.RaceClient = RaceClient;
+}
@@ -0,0 +1,177 @@
+/**
+ * TextGenerator - Practice text built only from the keys a learner may type
+ *
+ * Picks real words from a word list (word-list.txt) that can be typed with the
+ * allowed keys. When too few words qualify, it makes pronounceable pseudo-words
+ * from the allowed letters instead. Has no DOM dependencies.
+ *
+ * Options:
+ * - words: word list to draw from (empty for pseudo-words only)
+ * - allowedKeys: keys in the config.availableKeys format; empty means every key
+ * - length: approximate number of characters to generate
+ * - wordCount: exact number of words to generate (overrides length)
+ * - wordLength: { min, max } letters per word
+ * - capitalization: 0-1 chance that a word starts with a capital letter
+ * - punctuation: 0-1 chance that a word is followed by a punctuation mark
+ * - pseudoWords: always use pseudo-words, even if real words qualify
+ * - focus: { keys: { e: 0.4 }, bigrams: { th: 0.2 } } weights that make real words
+ *   containing those keys and bigrams more likely (see KeyStats for the scores)
+ *
+ * Usage:
+ * const text = TextGenerator.generate({
+ *   words: wordList,
+ *   allowedKeys: ['a', 's', 'd', 'f', 'j', 'k', 'l', ';'],
+ *   length: 120
+ * });
+ */
+
+const TextGenerator = {
+  // Fewer matching real words than this and the text would get too repetitive
+  MIN_REAL_WORDS: 8,
+
+  // How strongly focus weights pull words towards the focused keys and bigrams
+  FOCUS_STRENGTH: 10,
+
+  DEFAULT_OPTIONS: {
+    words: [],
+    allowedKeys: [],
+    length: 200,
+    wordCount: null,
+    wordLength: { min: 2, max: 8 },
+    capitalization: 0,
+    punctuation: 0,
+    pseudoWords: false,
+    focus: null
+  },
+
+  VOWELS: 'aeiouy',
+  PUNCTUATION: ['.', ',', ';', ':', '!', '?'],
+  SENTENCE_END: ['.', '!', '?'],
+
+  generate(options = {}) {
+    const settings = { ...this.DEFAULT_OPTIONS, ...options };
+    const wordLength = { ...this.DEFAULT_OPTIONS.wordLength, ...(options.wordLength || {}) };
+    const allowed = this.toKeySet(settings.allowedKeys);
+
+    const letters = this.getAllowedLetters(allowed);
+    if (letters.length === 0) {
+      return '';
+    }
+
+    const realWords = settings.pseudoWords ? [] : this.filterWords(settings.words, allowed, wordLength);
+    const useRealWords = realWords.length >= this.MIN_REAL_WORDS;
+    const pickWord = useRealWords && settings.focus
+      ? this.createWeightedPicker(realWords, settings.focus)
+      : () => realWords[Math.floor(Math.random() * realWords.length)];
+    const punctuation = this.PUNCTUATION.filter(mark => this.canType(mark, allowed));
+
+    const words = [];
+    let totalLength = 0;
+    let startsSentence = true;
+
+    while (settings.wordCount !== null ? words.length < settings.wordCount : totalLength < settings.length) {
+      let word = useRealWords
+        ? pickWord()
+        : this.makePseudoWord(letters, this.randomBetween(wordLength.min, wordLength.max));
+
+      // Capitalise the first word of each sentence, and others at random
+      if (settings.capitalization > 0 && (startsSentence || Math.random() < settings.capitalization)) {
+        word = word[0].toUpperCase() + word.slice(1);
+      }
+
+      startsSentence = false;
+      if (punctuation.length > 0 && Math.random() < settings.punctuation) {
+        const mark = punctuation[Math.floor(Math.random() * punctuation.length)];
+        word += mark;
+        startsSentence = this.SENTENCE_END.includes(mark);
+      }
+
+      words.push(word);
+      totalLength += word.length + 1;
+    }
+
+    return words.join(' ');
+  },
+
+  // Words from the list that use only allowed keys and fit the length range
+  filterWords(words, allowed, wordLength) {
+    return words.filter(word =>
+      word.length >= wordLength.min &&
+      word.length <= wordLength.max &&
+      Array.from(word).every(char => this.canType(char, allowed))
+    );
+  },
+
+  // Random word picker favouring words with focused keys and bigrams
+  createWeightedPicker(words, focus) {
+    const keyWeights = focus.keys || {};
+    const bigramWeights = focus.bigrams || {};
+
+    let totalWeight = 0;
+    const cumulativeWeights = words.map(word => {
+      const lower = word.toLowerCase();
+      let focusWeight = 0;
+      for (let i = 0; i < lower.length; i++) {
+        focusWeight += keyWeights[lower[i]] || 0;
+        if (i > 0) {
+          focusWeight += bigramWeights[lower.slice(i - 1, i + 1)] || 0;
+        }
+      }
+      totalWeight += 1 + focusWeight * this.FOCUS_STRENGTH;
+      return totalWeight;
+    });
+
+    return () => {
+      const target = Math.random() * totalWeight;
+      const index = cumulativeWeights.findIndex(weight => weight > target);
+      return words[index === -1 ? words.length - 1 : index];
+    };
+  },
+
+  // Pseudo-word alternating consonants and vowels where the allowed letters permit
+  makePseudoWord(letters, length) {
+    const vowels = letters.filter(letter => this.VOWELS.includes(letter));
+    const consonants = letters.filter(letter => !this.VOWELS.includes(letter));
+    const alternate = vowels.length > 0 && consonants.length > 0;
+    let useVowel = Math.random() < 0.5;
+    let word = '';
+
+    for (let i = 0; i < length; i++) {
+      const pool = alternate ? (useVowel ? vowels : consonants) : letters;
+      word += pool[Math.floor(Math.random() * pool.length)];
+      useVowel = !useVowel;
+    }
+    return word;
+  },
+
+  // Lowercase key set; an empty set means every key is allowed
+  toKeySet(keys) {
+    return new Set((keys || []).map(key => key.toLowerCase()));
+  },
+
+  // Comma and period are always typeable, like in the simulator's key filter
+  canType(char, allowed) {
+    return allowed.size === 0 || char === ',' || char === '.' || allowed.has(char.toLowerCase());
+  },
+
+  // Single-character keys usable inside words (letters, plus ; etc. for home-row drills)
+  getAllowedLetters(allowed) {
+    if (allowed.size === 0) {
+      return 'abcdefghijklmnopqrstuvwxyz'.split('');
+    }
+    return Array.from(allowed).filter(key =>
+      key.length === 1 && key.trim() !== '' && key !== ',' && key !== '.'
+    );
+  },
+
+  randomBetween(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextGenerator;
+} else {
+  window.TextGenerator = TextGenerator;
+}
@@ -0,0 +1,79 @@
+/**
+ * TextLibrary - Passages served by the text library API, and the learner's choice
+ *
+ * The server lists every .txt file in its texts/ directory (see the README for
+ * the front matter format). Each passage has:
+ * - id: file name without .txt
+ * - title, difficulty ('easy', 'medium', 'hard' or null), language, tags
+ * - length: number of characters
+ * - text: the passage itself (only when a single passage is loaded)
+ *
+ * The chosen passage is remembered in localStorage so it survives a reload.
+ *
+ * Usage:
+ * const texts = await TextLibrary.list();
+ * const passage = await TextLibrary.load(TextLibrary.pickRandom(texts).id);
+ */
+
+const TextLibrary = {
+  SELECTION_STORAGE_KEY: 'typing-simulator-text',
+
+  // Metadata of every passage in the library (without the text)
+  async list() {
+    const response = await fetch('/api/texts');
+    if (!response.ok) {
+      throw new Error(`Failed to list texts (${response.status})`);
+    }
+    const data = await response.json();
+    return Array.isArray(data.texts) ? data.texts : [];
+  },
+
+  // A single passage including its text
+  async load(textId) {
+    const response = await fetch(`/api/texts/${encodeURIComponent(textId)}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load text "${textId}" (${response.status})`);
+    }
+    return response.json();
+  },
+
+  getText(texts, textId) {
+    return texts.find(text => text.id === textId) || null;
+  },
+
+  // Random passage, avoiding the given one when there is a choice
+  pickRandom(texts, excludeId = null) {
+    const candidates = texts.length > 1 ? texts.filter(text => text.id !== excludeId) : texts;
+    return candidates.length > 0 ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+  },
+
+  // Picker label, e.g. "The Lighthouse Keeper (medium, en)"
+  describe(text) {
+    const details = [text.difficulty, text.language].filter(Boolean);
+    return details.length > 0 ? `${text.title} (${details.join(', ')})` : text.title;
+  },
+
+  loadSelection() {
+    try {
+      return localStorage.getItem(this.SELECTION_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not load text selection:', error);
+      return null;
+    }
+  },
+
+  saveSelection(textId) {
+    try {
+      localStorage.setItem(this.SELECTION_STORAGE_KEY, textId);
+    } catch (error) {
+      console.warn('Could not save text selection:', error);
+    }
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextLibrary;
+} else {
+  window.TextLibrary = TextLibrary;
+}
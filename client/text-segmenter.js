@@ -0,0 +1,113 @@
+/**
+ * TextSegmenter - User-perceived characters and lenient character matching
+ *
+ * A "character" here is a grapheme cluster: a base character together with its
+ * combining accents, an emoji with its modifiers and joiners, or a flag. The
+ * simulator positions the cursor, scores and logs keystrokes per character, so
+ * "é" written as e + combining accent, or a family emoji, counts as one.
+ * Text is normalised to NFC with Unix line breaks before it is split.
+ *
+ * Equivalence rules let a typed character stand in for the expected one:
+ * - accents: "e" for "é", "n" for "ñ" (and the other way round)
+ * - quotes: straight quotes for curly quotes, guillemets and primes
+ * - dashes: "-" for en and em dashes, minus signs and non-breaking hyphens
+ * - spaces: a normal space for non-breaking and thin spaces
+ *
+ * Has no DOM dependencies; uses Intl.Segmenter when available.
+ *
+ * Usage:
+ * const chars = TextSegmenter.split('Café 👍🏽'); // ['C', 'a', 'f', 'é', ' ', '👍🏽']
+ * TextSegmenter.matches('e', 'é', ['accents']); // true
+ */
+
+const TextSegmenter = {
+  EQUIVALENCE_RULES: ['accents', 'quotes', 'dashes', 'spaces'],
+
+  QUOTES: {
+    '‘': '\'', '’': '\'', '‚': '\'', '′': '\'', '‹': '\'', '›': '\'',
+    '“': '"', '”': '"', '„': '"', '″': '"', '«': '"', '»': '"'
+  },
+  DASHES: { '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '−': '-' },
+  SPACES: { '\u00A0': ' ', '\u2007': ' ', '\u2009': ' ', '\u202F': ' ' },
+
+  segmenter: null,
+
+  // Text as it is typed and stored: NFC with Unix line breaks
+  normalize(text) {
+    return text.normalize('NFC').replace(/\r\n?/g, '\n');
+  },
+
+  // Split text into user-perceived characters (after normalising it)
+  split(text) {
+    const normalized = this.normalize(text);
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      if (!this.segmenter) {
+        this.segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      }
+      return Array.from(this.segmenter.segment(normalized), part => part.segment);
+    }
+    return this.splitFallback(normalized);
+  },
+
+  // Approximate grapheme clusters for engines without Intl.Segmenter: combining
+  // marks, variation selectors, skin tones and zero-width joiner sequences stay
+  // with the character before them, and regional indicators pair up into flags
+  splitFallback(text) {
+    const chars = [];
+    let afterJoiner = false;
+
+    for (const codePoint of text) {
+      const last = chars.length - 1;
+      const extendsLast = /[\p{M}\u200D\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]/u.test(codePoint);
+      const completesFlag = this.isRegionalIndicator(codePoint) && last >= 0 &&
+        Array.from(chars[last]).length === 1 && this.isRegionalIndicator(chars[last]);
+
+      if (last >= 0 && (extendsLast || afterJoiner || completesFlag)) {
+        chars[last] += codePoint;
+      } else {
+        chars.push(codePoint);
+      }
+      afterJoiner = codePoint === '\u200D';
+    }
+
+    return chars;
+  },
+
+  isRegionalIndicator(codePoint) {
+    const value = codePoint.codePointAt(0);
+    return value >= 0x1F1E6 && value <= 0x1F1FF;
+  },
+
+  // Whether a typed character counts as the expected one under the given rules
+  matches(typed, expected, rules = []) {
+    if (typed === expected) {
+      return true;
+    }
+    return rules.length > 0 && this.fold(typed, rules) === this.fold(expected, rules);
+  },
+
+  // The character with the enabled equivalences applied
+  fold(char, rules) {
+    let folded = char;
+    if (rules.includes('accents')) {
+      folded = folded.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC') || char;
+    }
+    if (rules.includes('quotes')) {
+      folded = this.QUOTES[folded] || folded;
+    }
+    if (rules.includes('dashes')) {
+      folded = this.DASHES[folded] || folded;
+    }
+    if (rules.includes('spaces')) {
+      folded = this.SPACES[folded] || folded;
+    }
+    return folded;
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextSegmenter;
+} else {
+  window.TextSegmenter = TextSegmenter;
+}
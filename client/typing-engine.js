@@ -0,0 +1,350 @@
+/**
+ * TypingEngine - Scoring for one typing session, with no DOM dependencies
+ *
+ * Takes the passage and what the learner types, and keeps what the simulator
+ * renders from: the characters typed so far, each passage character's state
+ * ('pending', 'correct' or 'incorrect'), the keystroke log and the metrics
+ * from TypingMetrics. Positions count user-perceived characters (see
+ * TextSegmenter). The simulator feeds it the hidden input's contents after each
+ * input event; tests and the server can replay a recorded keystroke log instead.
+ * Loads in the browser (after text-segmenter.js and typing-metrics.js) and in Node.
+ *
+ * Options:
+ * - errorPolicy: { stopOnError, backspace: 'any' | 'word' | 'none', mustFixErrors }
+ * - equivalentCharacters: equivalence rules (see TextSegmenter)
+ * - skipIndentation: fill in a line's indentation once its line break is typed (code mode)
+ *
+ * Keystroke log entries: { type: 'insert' | 'delete', index, expected, typed, timestamp, correction }
+ * timestamp is milliseconds since the session started; correction marks a
+ * deletion, or an insertion where a wrong character was typed before. Accepted
+ * equivalents are logged as the expected character. Filled-in indentation moves
+ * the cursor but is not logged, and the metrics leave it out: it was never typed.
+ *
+ * Usage:
+ * const engine = new TypingEngine({ text: 'Hello world', errorPolicy: { backspace: 'word' } });
+ * engine.insert('H', 0);
+ * engine.insert('r', 180); // wrong: charStates[1] is 'incorrect'
+ * engine.deleteBackward(420);
+ * engine.getMetrics(1500).netWpm;
+ *
+ * const replayed = TypingEngine.replay('Hello world', keystrokeLog, options);
+ */
+
+// Helpers are globals from their own scripts in the browser and required in Node
+const TypingEngineHelpers = typeof module !== 'undefined' && module.exports
+  ? { segmenter: require('./text-segmenter'), metrics: require('./typing-metrics') }
+  : { segmenter: window.TextSegmenter, metrics: window.TypingMetrics };
+
+class TypingEngine {
+  constructor(options = {}) {
+    this.text = '';
+    this.textChars = [];
+    // Characters typed so far (accepted equivalents stored as the expected character)
+    this.typedChars = [];
+    // Input as of the last call to input(), as typed
+    this.inputChars = [];
+    this.charStates = [];
+    this.keystrokes = [];
+    this.mistypedIndices = new Set(); // Typed incorrectly at least once (used to flag corrections)
+    this.autoIndentedIndices = new Set(); // Indentation that was filled in rather than typed
+    this.blockedIndex = -1; // Position a wrong key was just rejected at (stop on error)
+
+    this.configure(options);
+    this.setText(options.text || '');
+  }
+
+  // Replace the options; what has been typed so far is kept
+  configure({ errorPolicy = {}, equivalentCharacters = [], skipIndentation = false } = {}) {
+    this.errorPolicy = TypingEngine.normalizeErrorPolicy(errorPolicy);
+    this.equivalentCharacters = equivalentCharacters;
+    this.skipIndentation = skipIndentation === true;
+  }
+
+  // Start a session on a new text
+  setText(text) {
+    this.text = TypingEngineHelpers.segmenter.normalize(text);
+    this.textChars.length = 0;
+    this.textChars.push(...TypingEngineHelpers.segmenter.split(this.text));
+    this.reset();
+  }
+
+  // Add text to the end without disturbing the session (timed tests stream words)
+  appendText(text) {
+    const normalized = TypingEngineHelpers.segmenter.normalize(text);
+    this.text += normalized;
+    TypingEngineHelpers.segmenter.split(normalized).forEach(char => {
+      this.textChars.push(char);
+      this.charStates.push('pending');
+    });
+  }
+
+  // Start the session again on the same text
+  reset() {
+    this.typedChars.length = 0;
+    this.inputChars = [];
+    this.charStates.length = 0;
+    this.textChars.forEach(() => this.charStates.push('pending'));
+    this.keystrokes.length = 0;
+    this.mistypedIndices.clear();
+    this.autoIndentedIndices.clear();
+    this.blockedIndex = -1;
+  }
+
+  // Take the whole input as it now stands (an array of characters), as a text
+  // field's value after an input event. Characters up to the first change are
+  // kept; the rest are deleted and typed again. Returns the keystrokes logged
+  input(chars, timestamp) {
+    const firstLogged = this.keystrokes.length;
+    let input = chars.slice(0, this.textChars.length);
+
+    // A character changed in place (e.g. an accent combining with the letter
+    // before it) is deleted and retyped
+    let kept = 0;
+    while (kept < input.length && kept < this.typedChars.length && input[kept] === this.inputChars[kept]) {
+      kept++;
+    }
+
+    // Deleting into filled-in indentation removes it with its line break
+    if (kept < this.typedChars.length && this.autoIndentedIndices.has(kept)) {
+      while (this.autoIndentedIndices.has(kept - 1)) {
+        kept--;
+      }
+      kept--;
+      input = input.slice(0, kept);
+    }
+
+    // Undo deletions the backspace policy does not allow
+    const minimumLength = this.getMinimumTypedLength();
+    if (kept < minimumLength) {
+      kept = minimumLength;
+      input = this.inputChars.slice(0, minimumLength);
+    }
+
+    if (kept < this.typedChars.length) {
+      this.blockedIndex = -1;
+      // Log deletions from the end so the log replays in the order they happened
+      // (filled-in indentation was never typed, so its removal is not logged either)
+      for (let i = this.typedChars.length - 1; i >= kept; i--) {
+        if (this.autoIndentedIndices.delete(i)) continue;
+        this.log('delete', i, this.typedChars[i], true, timestamp);
+      }
+      this.typedChars.length = kept;
+      for (let i = kept; i < this.charStates.length; i++) {
+        this.charStates[i] = 'pending';
+      }
+    }
+
+    if (input.length > kept) {
+      this.blockedIndex = -1;
+      for (let index = kept; index < input.length && index < this.textChars.length; index++) {
+        const expected = this.textChars[index];
+        // Accepted equivalents are stored as the expected character
+        const isError = !TypingEngineHelpers.segmenter.matches(input[index], expected, this.equivalentCharacters);
+        const typed = isError ? input[index] : expected;
+
+        this.log('insert', index, typed, this.mistypedIndices.has(index), timestamp);
+
+        // Stop on error: log the wrong key but keep the cursor where it is
+        if (isError && this.errorPolicy.stopOnError) {
+          this.mistypedIndices.add(index);
+          this.blockedIndex = index;
+          break;
+        }
+
+        this.typedChars.push(typed);
+        if (isError) {
+          this.charStates[index] = 'incorrect';
+          this.mistypedIndices.add(index);
+        } else {
+          this.charStates[index] = 'correct';
+        }
+
+        // Fill in the next line's indentation once its line break is typed
+        const indentation = !isError && expected === '\n' ? this.getSkippedIndentation(index + 1) : [];
+        if (indentation.length > 0) {
+          input.splice(index + 1, 0, ...indentation);
+          indentation.forEach(char => {
+            this.typedChars.push(char);
+            this.charStates[this.typedChars.length - 1] = 'correct';
+            this.autoIndentedIndices.add(this.typedChars.length - 1);
+          });
+          index += indentation.length;
+        }
+      }
+      input = input.slice(0, this.typedChars.length);
+    }
+
+    this.inputChars = input;
+    return this.keystrokes.slice(firstLogged);
+  }
+
+  // Type one character after the input so far
+  insert(char, timestamp) {
+    return this.input([...this.inputChars, char], timestamp);
+  }
+
+  // Delete the last character typed (if the backspace policy allows it)
+  deleteBackward(timestamp) {
+    return this.input(this.inputChars.slice(0, -1), timestamp);
+  }
+
+  log(type, index, typed, correction, timestamp) {
+    this.keystrokes.push({
+      type: type,
+      index: index,
+      expected: this.textChars[index],
+      typed: typed,
+      timestamp: timestamp,
+      correction: correction
+    });
+  }
+
+  // Leading indentation characters of the line starting at index, if indentation is skipped
+  getSkippedIndentation(index) {
+    if (!this.skipIndentation) {
+      return [];
+    }
+    let end = index;
+    while (end < this.textChars.length && (this.textChars[end] === ' ' || this.textChars[end] === '\t')) {
+      end++;
+    }
+    return this.textChars.slice(index, end);
+  }
+
+  // Shortest the typed text may become through backspace under the error policy
+  getMinimumTypedLength() {
+    if (this.errorPolicy.backspace === 'none') {
+      return this.typedChars.length;
+    }
+    if (this.errorPolicy.backspace === 'word') {
+      // Typing a space (or other whitespace) finishes a word; it can no longer be changed
+      for (let i = this.typedChars.length - 1; i >= 0; i--) {
+        if (/\s/.test(this.typedChars[i])) {
+          return i + 1;
+        }
+      }
+    }
+    return 0;
+  }
+
+  // Whether everything but trailing whitespace has been typed
+  isTextTyped() {
+    return TypingEngine.getTrimmedLength(this.typedChars) === TypingEngine.getTrimmedLength(this.textChars);
+  }
+
+  // Whether the passage can be finished: everything typed and, if required, correct
+  isComplete() {
+    if (!this.isTextTyped()) {
+      return false;
+    }
+    if (this.errorPolicy.mustFixErrors) {
+      return !this.charStates.some((state, i) => i < this.typedChars.length && state === 'incorrect');
+    }
+    return true;
+  }
+
+  // The word finished by a correctly typed space at index (or by the text's last
+  // character), as { word, index, correct }; null if index does not finish one
+  getCompletedWord(index) {
+    const isSpace = /\s/.test(this.textChars[index]);
+    const end = isSpace ? index : index + 1;
+    if (!isSpace && end < this.textChars.length) return null;
+
+    let start = end;
+    while (start > 0 && !/\s/.test(this.textChars[start - 1])) {
+      start--;
+    }
+    if (start === end) return null;
+
+    return {
+      word: this.textChars.slice(start, end).join(''),
+      index: start,
+      correct: this.charStates.slice(start, end).every(state => state === 'correct')
+    };
+  }
+
+  // Speed and accuracy over elapsedMs (see TypingMetrics), without filled-in indentation
+  getMetrics(elapsedMs) {
+    const isTyped = (char, index) => !this.autoIndentedIndices.has(index);
+    return TypingEngineHelpers.metrics.calculate({
+      text: this.textChars.filter(isTyped),
+      typed: this.typedChars.filter(isTyped),
+      keystrokes: this.keystrokes,
+      elapsedMs: elapsedMs
+    });
+  }
+
+  // The session's statistics as recorded in results; speed and accuracy keep
+  // their original keys: net WPM and raw (keystroke) accuracy
+  getStatistics(elapsedMs) {
+    const metrics = this.getMetrics(elapsedMs);
+    return {
+      totalErrors: metrics.totalErrors,
+      errorsLeft: metrics.errorsLeft,
+      totalTime: metrics.elapsedSeconds,
+      accuracy: metrics.rawAccuracy,
+      speed: metrics.netWpm,
+      grossWpm: metrics.grossWpm,
+      netWpm: metrics.netWpm,
+      cpm: metrics.cpm,
+      kspc: metrics.kspc,
+      rawAccuracy: metrics.rawAccuracy,
+      adjustedAccuracy: metrics.adjustedAccuracy
+    };
+  }
+
+  // Defaults for missing settings; an unknown backspace policy falls back to 'any'
+  static normalizeErrorPolicy(policy = {}) {
+    const normalized = { ...TypingEngine.DEFAULT_ERROR_POLICY, ...policy };
+
+    if (!TypingEngine.BACKSPACE_POLICIES.includes(normalized.backspace)) {
+      console.warn(`Unknown backspace policy "${normalized.backspace}", using "any"`);
+      normalized.backspace = 'any';
+    }
+    normalized.stopOnError = normalized.stopOnError === true;
+    normalized.mustFixErrors = normalized.mustFixErrors === true;
+
+    // Errors that cannot be corrected could never all be fixed; keep them from happening
+    if (normalized.mustFixErrors && normalized.backspace === 'none') {
+      normalized.stopOnError = true;
+    }
+    return normalized;
+  }
+
+  // Number of characters up to and including the last one that is not whitespace
+  static getTrimmedLength(chars) {
+    let length = chars.length;
+    while (length > 0 && /^\s+$/.test(chars[length - 1])) {
+      length--;
+    }
+    return length;
+  }
+
+  // Type a recorded keystroke log again: insertions are typed after the input
+  // so far and deletions remove everything from their index on
+  static replay(text, keystrokes, options = {}) {
+    const engine = new TypingEngine({ ...options, text: text });
+    keystrokes.forEach(entry => {
+      if (entry.type === 'insert') {
+        engine.insert(entry.typed, entry.timestamp);
+      } else if (entry.type === 'delete') {
+        engine.input(engine.inputChars.slice(0, entry.index), entry.timestamp);
+      }
+    });
+    return engine;
+  }
+}
+
+// Error policy (config.errorPolicy, overridden per lesson):
+// - stopOnError: a wrong key is logged but the cursor stays until the right key is pressed
+// - backspace: 'any', 'word' (only back to the start of the current word) or 'none'
+// - mustFixErrors: the passage only completes once every character is correct
+TypingEngine.DEFAULT_ERROR_POLICY = { stopOnError: false, backspace: 'any', mustFixErrors: false };
+TypingEngine.BACKSPACE_POLICIES = ['any', 'word', 'none'];
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TypingEngine;
+} else {
+  window.TypingEngine = TypingEngine;
+}
@@ -0,0 +1,81 @@
+/**
+ * TypingMetrics - Shared speed and accuracy calculations for the typing simulator
+ *
+ * Used by both the real-time stats bar and the final results so the two can
+ * never disagree. Works from the passage, the text typed so far and the
+ * keystroke log, and has no DOM dependencies. The passage and typed text may be
+ * strings or arrays of characters (see TextSegmenter).
+ *
+ * Definitions (a "word" is 5 characters, the usual typing-test convention):
+ * - grossWpm: typed characters / 5 per minute, errors included
+ * - netWpm: gross WPM minus uncorrected errors per minute (never below 0)
+ * - cpm: typed characters per minute
+ * - kspc: keystrokes (insertions and deletions) per character of typed text
+ * - rawAccuracy: share of inserted characters that were correct when typed
+ * - adjustedAccuracy: share of the final typed text that is correct, after corrections
+ *
+ * Usage:
+ * const metrics = TypingMetrics.calculate({
+ *   text: 'The passage',
+ *   typed: 'The pas',
+ *   keystrokes: keystrokeLog,
+ *   elapsedMs: 4200
+ * });
+ */
+
+const TypingMetrics = {
+  CHARS_PER_WORD: 5,
+
+  calculate({ text, typed, keystrokes, elapsedMs }) {
+    const minutes = elapsedMs / 60000;
+
+    // Compare the typed text with the passage position by position
+    let correctChars = 0;
+    for (let i = 0; i < typed.length; i++) {
+      if (typed[i] === text[i]) {
+        correctChars++;
+      }
+    }
+    const typedChars = typed.length;
+    const errorsLeft = typedChars - correctChars;
+
+    // Every insertion counts as an input; mistyped insertions count as errors
+    // even if they were corrected later
+    let totalInputs = 0;
+    let totalErrors = 0;
+    keystrokes.forEach(entry => {
+      if (entry.type === 'insert') {
+        totalInputs++;
+        if (entry.typed !== entry.expected) {
+          totalErrors++;
+        }
+      }
+    });
+
+    const grossWpm = minutes > 0 ? (typedChars / this.CHARS_PER_WORD) / minutes : 0;
+    const netWpm = minutes > 0 ? Math.max(0, grossWpm - errorsLeft / minutes) : 0;
+
+    return {
+      elapsedSeconds: elapsedMs / 1000,
+      typedChars: typedChars,
+      correctChars: correctChars,
+      totalKeystrokes: keystrokes.length,
+      totalInputs: totalInputs,
+      totalErrors: totalErrors,
+      errorsLeft: errorsLeft,
+      grossWpm: grossWpm,
+      netWpm: netWpm,
+      cpm: minutes > 0 ? typedChars / minutes : 0,
+      kspc: typedChars > 0 ? keystrokes.length / typedChars : 0,
+      rawAccuracy: totalInputs > 0 ? ((totalInputs - totalErrors) / totalInputs) * 100 : 0,
+      adjustedAccuracy: typedChars > 0 ? (correctChars / typedChars) * 100 : 0
+    };
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TypingMetrics;
+} else {
+  window.TypingMetrics = TypingMetrics;
+}
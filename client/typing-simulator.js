@@ -1,7 +1,42 @@
-// typing-simulator.js
-(function() {
-  let originalText = '';
-  let typedText = '';
+/**
+ * TypingSimulator - The typing simulator, bound to the page's markup (#typing-text,
+ * #hidden-input, the keyboard, completion screen and stats dashboard)
+ *
+ * create() sets up a simulator and starts it once the DOM is ready. It binds to
+ * the fixed element ids above, so a page holds one simulator: a second create()
+ * throws instead of attaching a rival to the same elements. Custom apps
+ * subscribe to its events to add sound, analytics or gamification; every
+ * listener receives one event object:
+ * - start: { mode, title } the first keystroke of a session
+ * - keystroke: { type, index, expected, typed, timestamp, correction } each
+ *   character typed ('insert') or deleted ('delete'), as in the keystroke log
+ * - error: { index, expected, typed } a wrong character was typed
+ * - correction: { index, expected } a character that was wrong is now typed correctly
+ * - wordComplete: { word, index, correct } a word and the space after it were
+ *   typed; correct is false if any character of the word is still wrong
+ * - complete: { result, stats } the session ended; result is the session sent
+ *   to POST /api/sessions
+ * - restart: {} a new session begins on the same or a new text
+ *
+ * Methods:
+ * - on(type, listener) / off(type, listener)
+ * - loadText(text, title): type the given text until the next loadText(); with no
+ *   text, return to the practice text
+ * - setConfig(changes): merge settings over the current ones (see config-schema.js);
+ *   resolves to the settings that were rejected
+ * - restart(): start the current session again
+ * - getStats(): live statistics for the session so far
+ *
+ * Usage (index.html creates the page's simulator):
+ * const typingSimulator = TypingSimulator.create();
+ * typingSimulator.on('error', () => errorSound.play());
+ */
+
+function createTypingSimulator() {
+  // The text, what has been typed, character states and the keystroke log (see
+  // typing-engine.js); positions count user-perceived characters (see TextSegmenter)
+  const engine = new TypingEngine();
+  let isComposing = false; // An input method (IME) is composing text
   let textContainer = null;
   let hiddenInput = null;
   let completionScreen = null;
@@ -9,20 +44,42 @@
   let restartButton = null;
   let startOverButton = null;
   let statsStartOverButton = null;
+  let replayButton = null;
+  let statsReplayButton = null;
+  let replayControls = null;
+  let replaySpeedSelect = null;
+  let replayStopButton = null;
+  let reviewPanel = null;
   let keyboardContainer = null;
   let realtimeStatsContainer = null;
-  let config = { keyboard: true, availableKeys: [], showStats: false, realTimeStats: [], keyTips: false };
+  let countdownElement = null;
+  // Defaults, then config.json, then URL parameters, then runtime changes (see config-schema.js)
+  let config = ConfigSchema.defaults();
+  const configErrors = []; // Problems found in any layer, shown next to the status
 
   // Normalized set of available keys (for fast lookup)
   let availableKeysSet = new Set();
 
-  // Character states: 'pending', 'correct', 'incorrect'
-  const charStates = [];
-
-  // Statistics tracking
+  // Statistics tracking (counts and speeds are derived from the keystroke log,
+  // whose timestamps are milliseconds since the first keystroke of the session)
   let startTime = null;
-  let totalErrors = 0;
-  let totalInputs = 0;
+  let sessionStartedAt = null;
+
+  // Error policy: config.errorPolicy, overridden per lesson (see typing-engine.js)
+  let awaitingFixesShown = false; // Status bar asks for the remaining errors to be fixed
+
+  // Result of the last completed session (see buildSessionResult)
+  let lastResult = null;
+
+  // Learner the session history is recorded under
+  const LEARNER_ID_STORAGE_KEY = 'typing-simulator-learner-id';
+  let learnerId = 'anonymous';
+
+  // Replay state
+  let replayTimeout = null;
+  let replayPosition = 0;
+  const replayTypedChars = [];
+  const replayCharStates = [];
 
   // Keyboard state
   let keyboardEnabled = false;
@@ -31,10 +88,98 @@
   let keyTipsEnabled = false;
   let currentTipKeyElement = null;
   let currentTipShiftElement = null; // Track which shift key is highlighted
+  let fingerZonesEnabled = false;
+  let fingerHintElement = null; // Names the finger for the next key when key tips are on
 
   // Real-time stats update interval
   let realtimeStatsInterval = null;
 
+  // Timed test mode: a countdown runs from the first keystroke and more words
+  // stream in from the word list as the learner approaches the end of the text
+  const TIMED_DURATIONS = [15, 30, 60, 120];
+  const DEFAULT_TIMED_DURATION = 30;
+  const TIMED_WORDS_PER_CHUNK = 40;
+  const TIMED_LOOKAHEAD_CHARS = 120; // Append more words when fewer characters than this remain
+  let wordList = [];
+  let textIsGenerated = false; // Free-practice text comes from TextGenerator rather than the passage file
+  let timedTestTimeout = null;
+  let countdownInterval = null;
+
+  // Lessons (see curriculum.js): the current lesson replaces the passage and
+  // config.availableKeys; null means free practice
+  let lessons = [];
+  let lessonProgress = { passed: [], currentLessonId: null };
+  let currentLesson = null;
+  let lessonSelect = null;
+  let lessonTextPending = false; // A passed lesson moved on to the next one, whose text is not loaded yet
+
+  // Mistake review: pauses longer than config.hesitationThreshold (ms) before a
+  // character are flagged. A retry session types just the problem words and
+  // replaces the lesson, timed test or drill until the learner starts over.
+  // A passage pushed from the instructor page is typed the same way
+  const DEFAULT_HESITATION_THRESHOLD = 1000;
+  let retryText = null;
+  // An embedding page (see embed-api.js), ?text= or loadText() can set the passage
+  // the same way; that passage stays when the learner starts over
+  let retryReason = null; // 'review' (problem words), 'instructor' (pushed passage) or 'custom'
+  let retryTitle = null; // Title sent with a pushed or custom passage, if any
+
+  // Listeners for the public events, by event type
+  const eventListeners = {};
+
+  // Remote control: a lock command (or an embedding page's pause) disables typing
+  // and stops the session clock until an unlock command
+  let inputLocked = false;
+  let pausedAt = null; // When the clock was stopped, if a session was under way
+
+  // Live monitoring: a progress report for the instructor page is sent over the
+  // page's LiveConnection every few seconds, and a result after every session
+  const LIVE_PROGRESS_INTERVAL_MS = 2000;
+
+  // Results heatmap: 'errors' (error rate) or 'latency' (average time per key)
+  let heatmapMetric = 'errors';
+  let heatmapResult = null;
+
+  // Adaptive drill mode: generated words weighted towards the learner's weakest
+  // keys and bigrams (see key-stats.js), which also get the key-tip highlight
+  const ADAPTIVE_FOCUS_LIMIT = 5;
+  let weakKeys = { keys: [], bigrams: [] };
+  let modeSelect = null;
+
+  // Text library: passages listed by the server (see text-library.js); without
+  // it, passage mode types text-to-input.txt
+  let textLibrary = [];
+  let currentPassage = null; // Library passage loaded for passage mode
+  let textSelect = null;
+  let randomTextButton = null;
+
+  // Code mode: snippets from code-snippets.json with syntax highlighting.
+  // indentation 'skip' fills in a line's leading whitespace once its line break
+  // is typed; tabsEqualSpaces expands tabs to spaces and makes Tab type spaces
+  const DEFAULT_CODE_OPTIONS = { language: null, indentation: 'skip', tabWidth: 4, tabsEqualSpaces: true };
+  let codeSnippets = [];
+  let currentSnippet = null;
+  let codeTokens = null; // Token type per character of the snippet (see CodeHighlighter)
+
+  // Race mode: everyone in a server room types the same passage from a shared
+  // countdown (see race-client.js); the passage arrives when a race starts
+  let raceRoom = null; // Room joined, or null
+  let racePlayerId = null; // This page's LiveConnection client id
+  let raceState = null; // 'waiting', 'countdown', 'racing' or 'finished'
+  let racePlayers = [];
+  let raceResults = null; // Leaderboard of the last finished race
+  let racePassage = null; // { textId, title, text } of the current race
+  let raceLength = 0; // Characters in the race passage, for the progress bars
+  let raceStartsAt = null;
+  let raceCountdownInterval = null;
+  let raceStarted = false; // The countdown is over and typing is unlocked
+  let raceFinished = false; // This player's race is over (passage typed or time up)
+  let racePanel = null;
+
+  // Characters accepted in place of others (config.equivalentCharacters, see
+  // TextSegmenter.EQUIVALENCE_RULES); unknown rules are reported once
+  let warnedEquivalenceRules = false;
+
   function setStatus(msg) {
     const status = document.getElementById('status');
     if (status) {
@@ -44,34 +189,50 @@
 
   // Load configuration
   async function loadConfig() {
+    let fileConfig = {};
     try {
       const response = await fetch('./config.json');
-      if (!response.ok) {
-        console.warn('Config file not found, using defaults');
-        return;
-      }
-      config = await response.json();
-
-      // Normalize available keys to lowercase for fast lookup
-      // Empty array means all keys are available
-      if (config.availableKeys && Array.isArray(config.availableKeys) && config.availableKeys.length > 0) {
-        availableKeysSet = new Set(config.availableKeys.map(key => key.toLowerCase()));
+      if (response.ok) {
+        fileConfig = await response.json();
       } else {
-        availableKeysSet = new Set(); // Empty set means all keys available
+        console.warn('Config file not found, using defaults');
       }
     } catch (error) {
       console.warn('Error loading config:', error);
+      configErrors.push(`config.json could not be read (${error.message})`);
     }
+
+    const resolved = ConfigSchema.resolve([
+      { source: 'config.json', values: fileConfig },
+      { source: 'URL', values: ConfigSchema.fromQuery(window.location.search) }
+    ]);
+    config = resolved.config;
+    setAvailableKeys(config.availableKeys);
+    showConfigErrors(resolved.errors);
+  }
+
+  // Report invalid settings in the header; they were skipped in favour of the layer below
+  function showConfigErrors(errors) {
+    errors.forEach(error => console.warn('Invalid config:', error));
+    configErrors.push(...errors);
+
+    const element = document.getElementById('config-errors');
+    if (!element) return;
+    element.hidden = configErrors.length === 0;
+    element.textContent = configErrors.length === 1
+      ? `Config: ${configErrors[0]}`
+      : `Config: ${configErrors.length} problems`;
+    element.title = configErrors.join('\n');
   }
 
-  // Keyboard layout definition
-  const keyboardLayout = [
-    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'backspace'],
-    ['tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
-    ['caps', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'", 'enter'],
-    ['shift', 'z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/', 'shift'],
-    ['space']
-  ];
+  // Selected keyboard layout (see keyboard-layouts.js); a choice made in the
+  // layout picker is remembered and wins over config.keyboardLayout
+  const KEYBOARD_LAYOUT_STORAGE_KEY = 'typing-simulator-keyboard-layout';
+  let keyboardLayout = KeyboardLayouts.get(KeyboardLayouts.DEFAULT_LAYOUT);
+  let layoutSelect = null;
+
+  // Rendered key elements by key name (Shift is looked up by side instead)
+  const keyElements = new Map();
 
   // Map special keys to display names
   const keyDisplayNames = {
@@ -83,6 +244,16 @@
     'space': 'Space'
   };
 
+  // Normalize available keys to lowercase for fast lookup
+  // Empty array means all keys are available
+  function setAvailableKeys(keys) {
+    if (keys && Array.isArray(keys) && keys.length > 0) {
+      availableKeysSet = new Set(keys.map(key => key.toLowerCase()));
+    } else {
+      availableKeysSet = new Set(); // Empty set means all keys available
+    }
+  }
+
   // Check if a key is available for typing
   // Accepts both character values (from input) and KeyboardEvent.key values
   function isKeyAvailable(key) {
@@ -117,101 +288,28 @@
     return availableKeysSet.has(normalizedKey);
   }
 
-  // Get key element by character
-  function getKeyElement(char) {
-    if (!keyboardContainer) return null;
-
-    // Normalize character
-    const normalizedChar = char.toLowerCase();
-
-    // Handle special keys
+  // Name of the key (as listed in the layout rows) that types a character
+  // Shifted characters and uppercase letters resolve to the key that types them
+  function getKeyName(char, layout = keyboardLayout) {
     if (char === ' ') {
-      return keyboardContainer.querySelector('[data-key="space"]');
+      return 'space';
     }
     if (char === '\n' || char === '\r') {
-      return keyboardContainer.querySelector('[data-key="enter"]');
+      return 'enter';
     }
     if (char === '\t') {
-      return keyboardContainer.querySelector('[data-key="tab"]');
-    }
-
-    // Find regular key
-    return keyboardContainer.querySelector(`[data-key="${normalizedChar}"]`);
-  }
-
-  // Map shift symbols to their base keys
-  const shiftSymbolMap = {
-    '!': '1', '@': '2', '#': '3', '$': '4', '%': '5',
-    '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
-    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\',
-    ':': ';', '"': "'", '<': ',', '>': '.', '?': '/', '~': '`'
-  };
-
-  // Get the base key for a character (maps shift symbols to their base keys)
-  function getBaseKey(char) {
-    // If it's a shift symbol, return the base key
-    if (shiftSymbolMap[char]) {
-      return shiftSymbolMap[char];
-    }
-    // For uppercase letters, return lowercase
-    if (char >= 'A' && char <= 'Z') {
-      return char.toLowerCase();
+      return 'tab';
     }
-    // Otherwise return as-is
-    return char;
-  }
-
-  // Check if a character requires Shift to type
-  function requiresShift(char) {
-    // Check if it's an uppercase letter
-    if (char >= 'A' && char <= 'Z') {
-      return true;
-    }
-
-    // Check if it's a special symbol that requires Shift
-    if (shiftSymbolMap[char]) {
-      return true;
+    if (char === 'backspace') {
+      return 'backspace';
     }
-
-    return false;
+    return KeyboardLayouts.getBaseKey(layout, char);
   }
 
-  // Determine if a key is on the left side of the keyboard
-  // Returns true for left side, false for right side
-  // Based on standard QWERTY layout:
-  // Left: `, 1-5, tab, q-t, caps, a-g, shift, z-b
-  // Right: 6-0, -, =, y-p, [, ], \, h-l, ;, ', n-/, shift
-  function isKeyOnLeftSide(char) {
-    const normalizedChar = char.toLowerCase();
-
-    // Handle special keys
-    if (normalizedChar === 'tab' || normalizedChar === 'caps' || normalizedChar === 'shift') {
-      // These keys span or are on left side
-      return true;
-    }
-
-    // Number row: left side is `, 1-5
-    if (normalizedChar === '`' || (normalizedChar >= '1' && normalizedChar <= '5')) {
-      return true;
-    }
-
-    // Top letter row: left side is q-t
-    if (normalizedChar >= 'q' && normalizedChar <= 't') {
-      return true;
-    }
-
-    // Middle letter row: left side is a-g
-    if (normalizedChar >= 'a' && normalizedChar <= 'g') {
-      return true;
-    }
-
-    // Bottom letter row: left side is z-b
-    if (normalizedChar >= 'z' && normalizedChar <= 'b') {
-      return true;
-    }
-
-    // Everything else is on the right side
-    return false;
+  // Get key element by character
+  function getKeyElement(char) {
+    if (!keyboardContainer) return null;
+    return keyElements.get(getKeyName(char)) || null;
   }
 
   // Get shift key element (left or right)
@@ -225,8 +323,8 @@
 
   // Update the key tip highlight (shows which key to press next)
   function updateKeyTip() {
-    // Only update if keyTips mode is enabled and keyboard is visible
-    if (!keyTipsEnabled || !keyboardEnabled || !keyboardContainer) {
+    // Only update if keyTips mode (or the adaptive drill) is enabled and keyboard is visible
+    if ((!keyTipsEnabled && !isAdaptiveMode()) || !keyboardEnabled || !keyboardContainer) {
       return;
     }
 
@@ -242,34 +340,47 @@
       currentTipShiftElement = null;
     }
 
+    if (fingerHintElement) {
+      fingerHintElement.textContent = '';
+    }
+
     // Find the next character to type
-    const nextCharIndex = typedText.length;
-    if (nextCharIndex >= originalText.length) {
+    const nextCharIndex = engine.typedChars.length;
+    if (nextCharIndex >= engine.textChars.length) {
       // All characters typed, no tip needed
       return;
     }
 
-    const nextChar = originalText[nextCharIndex];
+    let nextChar = engine.textChars[nextCharIndex];
     if (!nextChar) {
       return;
     }
 
-    // Get the base key for highlighting (maps shift symbols to their base keys)
-    const baseKey = getBaseKey(nextChar);
+    // Point at the plain key for characters typed through an equivalence (e.g. "e" for "é")
+    if (!getKeyName(nextChar)) {
+      nextChar = TextSegmenter.fold(nextChar, getEquivalenceRules());
+    }
+
+    // Without key tips, the adaptive drill only points out the weak keys
+    if (!keyTipsEnabled && !isWeakKey(nextChar)) {
+      return;
+    }
+
+    // Get the key that types the character (maps shift symbols to their base keys)
+    const keyName = getKeyName(nextChar);
+    const finger = KeyboardLayouts.getFinger(keyboardLayout, keyName);
 
     // Get the key element for the base key
-    const keyElement = getKeyElement(baseKey);
+    const keyElement = keyElements.get(keyName);
     if (keyElement) {
       currentTipKeyElement = keyElement;
       keyElement.classList.add('key-tip');
     }
 
     // Check if shift is needed and highlight appropriate shift key
-    if (requiresShift(nextChar)) {
-      // Determine which side of keyboard the key is on
-      const charForSideCheck = baseKey.toLowerCase();
-      const isLeftSide = isKeyOnLeftSide(charForSideCheck);
-
+    const needsShift = KeyboardLayouts.requiresShift(keyboardLayout, nextChar);
+    const isLeftSide = finger !== null && finger.hand === 'left';
+    if (needsShift) {
       // Highlight opposite shift: left side keys use right shift, right side keys use left shift
       const shiftElement = getShiftKeyElement(!isLeftSide);
       if (shiftElement) {
@@ -277,6 +388,18 @@
         shiftElement.classList.add('key-tip');
       }
     }
+
+    // Name the finger that should press the key (and the pinky that holds Shift)
+    if (fingerHintElement && finger) {
+      let hint = KeyboardLayouts.getFingerLabel(finger);
+      if (finger.finger !== 'thumb') {
+        hint += ' finger';
+      }
+      if (needsShift) {
+        hint += ` + ${isLeftSide ? 'right' : 'left'} pinky on Shift`;
+      }
+      fingerHintElement.textContent = hint;
+    }
   }
 
   // Highlight a key on the keyboard
@@ -320,25 +443,37 @@
     }
   }
 
-  // Render the keyboard
-  function renderKeyboard() {
-    if (!keyboardContainer) return;
-
+  // Build the key elements for a layout; every key except Shift is added to
+  // elements by key name (used by the typing keyboard and the results heatmap)
+  function buildKeyboard(layout, elements) {
     const keyboard = document.createElement('div');
     keyboard.className = 'keyboard';
 
     let shiftKeyIndex = 0; // Track which shift key we're rendering (0 = left, 1 = right)
+    const homeKeys = KeyboardLayouts.getHomeKeys(layout);
 
-    keyboardLayout.forEach(row => {
+    layout.rows.forEach((row, rowIndex) => {
       const rowElement = document.createElement('div');
       rowElement.className = 'keyboard-row';
+      const rowFingers = KeyboardLayouts.getRowFingers(layout, rowIndex);
 
-      row.forEach(key => {
+      row.forEach((key, keyIndex) => {
         const keyElement = document.createElement('div');
         const normalizedKey = key.toLowerCase();
         keyElement.className = 'keyboard-key';
         keyElement.setAttribute('data-key', normalizedKey);
 
+        // Finger zone (colour-coded when fingerZones is enabled)
+        const finger = rowFingers[keyIndex];
+        if (finger) {
+          keyElement.setAttribute('data-finger', KeyboardLayouts.getFingerId(finger));
+        }
+
+        // Home-row markers for the index fingers
+        if (homeKeys.includes(key)) {
+          keyElement.classList.add('home-key');
+        }
+
         // Add data attribute to distinguish left vs right shift
         if (key === 'shift') {
           const shiftSide = shiftKeyIndex === 0 ? 'left' : 'right';
@@ -358,11 +493,16 @@
           keyElement.classList.add(key);
         }
 
-        // Set display text
+        // Set display text (keep characters like ß whose uppercase form is longer)
         if (keyDisplayNames[key]) {
           keyElement.textContent = keyDisplayNames[key];
         } else {
-          keyElement.textContent = key.toUpperCase();
+          const upperKey = key.toUpperCase();
+          keyElement.textContent = upperKey.length === 1 ? upperKey : key;
+        }
+
+        if (key !== 'shift') {
+          elements.set(normalizedKey, keyElement);
         }
 
         rowElement.appendChild(keyElement);
@@ -371,8 +511,279 @@
       keyboard.appendChild(rowElement);
     });
 
+    return keyboard;
+  }
+
+  // Render the keyboard
+  function renderKeyboard() {
+    if (!keyboardContainer) return;
+
+    keyElements.clear();
+    const keyboard = buildKeyboard(keyboardLayout, keyElements);
+    if (fingerZonesEnabled) {
+      keyboard.classList.add('finger-zones');
+    }
+
     keyboardContainer.innerHTML = '';
     keyboardContainer.appendChild(keyboard);
+
+    updateWeakKeyMarkers();
+
+    fingerHintElement = null;
+    if (keyTipsEnabled) {
+      fingerHintElement = document.createElement('div');
+      fingerHintElement.className = 'finger-hint';
+      fingerHintElement.setAttribute('aria-live', 'polite');
+      keyboardContainer.appendChild(fingerHintElement);
+    }
+  }
+
+  // Pick the layout: the learner's remembered choice, then config.json, then the default
+  function getInitialKeyboardLayoutId() {
+    try {
+      const storedId = localStorage.getItem(KEYBOARD_LAYOUT_STORAGE_KEY);
+      if (storedId && KeyboardLayouts.layouts[storedId]) {
+        return storedId;
+      }
+    } catch (error) {
+      console.warn('localStorage unavailable, using configured keyboard layout:', error);
+    }
+    return config.keyboardLayout;
+  }
+
+  // Switch the on-screen keyboard to another layout
+  function setKeyboardLayout(layoutId) {
+    keyboardLayout = KeyboardLayouts.get(layoutId);
+
+    if (layoutSelect) {
+      layoutSelect.value = keyboardLayout.id;
+    }
+
+    // Tip and highlight elements belong to the old keyboard
+    currentTipKeyElement = null;
+    currentTipShiftElement = null;
+    activeKeyElement = null;
+
+    if (keyboardEnabled) {
+      renderKeyboard();
+      updateKeyTip();
+    }
+  }
+
+  // Fill the layout picker and remember the learner's choice
+  function initializeLayoutPicker() {
+    layoutSelect = document.getElementById('layout-select');
+    if (!layoutSelect) return;
+
+    if (!keyboardEnabled) {
+      layoutSelect.style.display = 'none';
+      return;
+    }
+
+    KeyboardLayouts.list().forEach(layout => {
+      const option = document.createElement('option');
+      option.value = layout.id;
+      option.textContent = layout.name;
+      layoutSelect.appendChild(option);
+    });
+    layoutSelect.value = keyboardLayout.id;
+
+    layoutSelect.addEventListener('change', () => {
+      setKeyboardLayout(layoutSelect.value);
+      try {
+        localStorage.setItem(KEYBOARD_LAYOUT_STORAGE_KEY, keyboardLayout.id);
+      } catch (error) {
+        console.warn('Could not remember keyboard layout:', error);
+      }
+      if (hiddenInput && !hiddenInput.disabled) {
+        hiddenInput.focus();
+      }
+    });
+  }
+
+  // Fill the lesson picker; locked lessons are listed but cannot be chosen
+  function renderLessonPicker() {
+    if (!lessonSelect) return;
+
+    lessonSelect.innerHTML = '';
+    const freePractice = document.createElement('option');
+    freePractice.value = '';
+    freePractice.textContent = 'Free practice';
+    lessonSelect.appendChild(freePractice);
+
+    lessons.forEach((lesson, index) => {
+      const option = document.createElement('option');
+      const unlocked = Curriculum.isUnlocked(lessons, lessonProgress, lesson.id);
+      const passed = lessonProgress.passed.includes(lesson.id);
+      option.value = lesson.id;
+      option.textContent = `${index + 1}. ${lesson.title}${passed ? ' ✓' : ''}${unlocked ? '' : ' (locked)'}`;
+      option.disabled = !unlocked;
+      lessonSelect.appendChild(option);
+    });
+
+    lessonSelect.value = currentLesson ? currentLesson.id : '';
+  }
+
+  // Switch to a lesson (or free practice for null) and start it from the beginning
+  function selectLesson(lessonId) {
+    const lesson = lessonId ? Curriculum.getLesson(lessons, lessonId) : null;
+    if (lesson && !Curriculum.isUnlocked(lessons, lessonProgress, lesson.id)) {
+      console.warn(`Lesson "${lesson.id}" is locked`);
+      renderLessonPicker();
+      return;
+    }
+
+    setCurrentLesson(lesson);
+    return loadText().then(restart);
+  }
+
+  // Make a lesson (or free practice for null) current and remember it, without loading its text
+  function setCurrentLesson(lesson) {
+    currentLesson = lesson;
+    lessonProgress.currentLessonId = lesson ? lesson.id : null;
+    Curriculum.saveProgress(learnerId, lessonProgress);
+
+    setAvailableKeys(lesson ? lesson.keys : config.availableKeys);
+    if (keyboardEnabled) {
+      renderKeyboard();
+    }
+    renderLessonPicker();
+  }
+
+  // Move on to the next lesson once the current one is passed. The completion
+  // screen stays up for replay and review; the next session is the next lesson
+  function advanceLesson(outcome) {
+    if (!outcome || !outcome.passed || !outcome.nextLesson) return;
+    setCurrentLesson(outcome.nextLesson);
+    lessonTextPending = true;
+  }
+
+  // Describe the current lesson or drill above the text
+  function updatePracticeInfo() {
+    const practiceInfo = document.getElementById('practice-info');
+    if (!practiceInfo) return;
+
+    if (retryText !== null && retryReason === 'custom') {
+      practiceInfo.textContent = retryTitle || '';
+      practiceInfo.style.display = retryTitle ? 'block' : 'none';
+      return;
+    }
+
+    if (retryText !== null) {
+      if (retryReason === 'review') {
+        practiceInfo.textContent = 'Retrying your problem words. Start over to return to your practice.';
+      } else {
+        const title = retryTitle ? `"${retryTitle}" from your instructor` : 'Passage from your instructor';
+        practiceInfo.textContent = `${title}. Start over to return to your practice.`;
+      }
+    } else if (currentLesson) {
+      const criteria = currentLesson.passCriteria || {};
+      const goals = [];
+      if (typeof criteria.minWpm === 'number') goals.push(`${criteria.minWpm} WPM`);
+      if (typeof criteria.minAccuracy === 'number') goals.push(`${criteria.minAccuracy}% accuracy`);
+
+      practiceInfo.textContent = (currentLesson.description || currentLesson.title) +
+        (goals.length > 0 ? ` Goal: ${goals.join(', ')}.` : '');
+    } else if (isAdaptiveMode()) {
+      const focus = weakKeys.keys.concat(weakKeys.bigrams).map(entry => entry.key);
+      practiceInfo.textContent = focus.length > 0
+        ? `Weak keys drill. Focus: ${focus.join(', ')}`
+        : 'Weak keys drill. Finish a few sessions so your weak keys can be found.';
+    } else if (isRaceMode() && racePassage) {
+      practiceInfo.textContent = `Race: ${racePassage.title}`;
+    } else if (isCodeMode() && currentSnippet) {
+      const language = CodeHighlighter.has(currentSnippet.language)
+        ? CodeHighlighter.LANGUAGES[currentSnippet.language].name
+        : currentSnippet.language;
+      practiceInfo.textContent = `${language}: ${currentSnippet.title || currentSnippet.id}` +
+        (getCodeOptions().indentation === 'skip' ? '. Indentation is filled in after each line break.' : '');
+    } else {
+      practiceInfo.style.display = 'none';
+      return;
+    }
+    practiceInfo.style.display = 'block';
+  }
+
+  // Record the result of the current lesson and unlock the next one if it passed
+  function completeLesson(stats) {
+    const outcome = Curriculum.evaluate(currentLesson, stats);
+    outcome.nextLesson = Curriculum.getNextLesson(lessons, currentLesson.id);
+
+    if (outcome.passed && !lessonProgress.passed.includes(currentLesson.id)) {
+      lessonProgress.passed.push(currentLesson.id);
+      Curriculum.saveProgress(learnerId, lessonProgress);
+      renderLessonPicker();
+    }
+    return outcome;
+  }
+
+  // Show a lesson outcome on the completion screen and stats dashboard (null hides it)
+  function renderLessonOutcome(outcome) {
+    document.querySelectorAll('.lesson-outcome').forEach(element => {
+      if (!outcome) {
+        element.style.display = 'none';
+        return;
+      }
+
+      let message;
+      if (outcome.passed) {
+        message = outcome.nextLesson
+          ? `Lesson passed! Next up: "${outcome.nextLesson.title}".`
+          : 'Lesson passed! You have completed every lesson.';
+      } else {
+        message = `Not passed yet: ${outcome.failures.join('; ')}.`;
+      }
+      element.textContent = message;
+      element.classList.toggle('lesson-outcome-passed', outcome.passed);
+      element.style.display = 'block';
+    });
+
+    const showNext = Boolean(outcome && outcome.passed && outcome.nextLesson);
+    document.querySelectorAll('.btn-next-lesson').forEach(button => {
+      button.style.display = showNext ? '' : 'none';
+      button.onclick = showNext ? () => selectLesson(outcome.nextLesson.id) : null;
+    });
+  }
+
+  // Load the lesson manifest and resume the learner's last lesson
+  async function initializeLessons() {
+    lessonSelect = document.getElementById('lesson-select');
+    renderLessonOutcome(null);
+
+    if (config.lessons !== true) {
+      if (lessonSelect) {
+        lessonSelect.style.display = 'none';
+      }
+      return;
+    }
+
+    try {
+      lessons = await Curriculum.load('./lessons.json');
+    } catch (error) {
+      console.error('Error loading lessons:', error);
+      if (lessonSelect) {
+        lessonSelect.style.display = 'none';
+      }
+      return;
+    }
+
+    lessonProgress = Curriculum.loadProgress(learnerId);
+    const savedLesson = Curriculum.getLesson(lessons, lessonProgress.currentLessonId);
+    if (savedLesson && Curriculum.isUnlocked(lessons, lessonProgress, savedLesson.id)) {
+      currentLesson = savedLesson;
+      setAvailableKeys(currentLesson.keys);
+      if (keyboardEnabled) {
+        renderKeyboard();
+      }
+    }
+
+    renderLessonPicker();
+
+    if (lessonSelect) {
+      lessonSelect.addEventListener('change', () => {
+        selectLesson(lessonSelect.value || null);
+      });
+    }
   }
 
   // Initialize keyboard
@@ -382,6 +793,8 @@
 
     keyboardEnabled = config.keyboard === true;
     keyTipsEnabled = config.keyTips === true; // Defaults to false if undefined or not set
+    fingerZonesEnabled = config.fingerZones === true;
+    keyboardLayout = KeyboardLayouts.get(getInitialKeyboardLayoutId());
 
     if (keyboardEnabled) {
       renderKeyboard();
@@ -396,22 +809,53 @@
   }
 
   async function loadText() {
+    lessonTextPending = false;
     try {
       setStatus('Loading...');
-      const response = await fetch('./text-to-input.txt');
-      if (!response.ok) {
-        throw new Error('Failed to load text file');
-      }
-      originalText = await response.text();
-      // Trim trailing whitespace/newlines but keep the original for display
-      originalText = originalText.trimEnd();
+      textIsGenerated = false;
+      codeTokens = null;
+      currentPassage = null;
+      if (retryText !== null) {
+        setText(retryText);
+      } else if (currentLesson) {
+        if (currentLesson.generator && currentLesson.generator.type === 'words') {
+          await loadWordList();
+        }
+        setText(Curriculum.getLessonText(currentLesson, wordList));
+      } else if (isTimedMode()) {
+        await loadWordList();
+        setText(generateWords(TIMED_WORDS_PER_CHUNK));
+      } else if (isAdaptiveMode()) {
+        await loadWordList();
+        setText(generateAdaptiveText());
+      } else if (isCodeMode()) {
+        await loadCodeSnippets();
+        setText(generateCodeText());
+      } else if (isRaceMode()) {
+        setText(racePassage ? racePassage.text : '');
+        currentPassage = racePassage && racePassage.textId ? { id: racePassage.textId, title: racePassage.title } : null;
+      } else if (getGeneratedTextOptions().enabled === true) {
+        await loadWordList();
+        setText(generatePracticeText());
+        textIsGenerated = true;
+      } else {
+        const passage = await loadPassageText();
 
-      // Initialize character states
-      charStates.length = 0;
-      for (let i = 0; i < originalText.length; i++) {
-        charStates.push('pending');
+        // A passage with keys the learner may not type could never be completed
+        if (canTypeText(passage)) {
+          setText(passage);
+        } else {
+          console.warn('Passage uses keys outside availableKeys, generating practice text instead');
+          await loadWordList();
+          setText(generatePracticeText());
+          textIsGenerated = true;
+        }
       }
 
+      updatePracticeInfo();
+      updateTextPicker();
+      renderRacePanel();
+      updateWeakKeyMarkers();
       renderText();
       setStatus('Ready');
     } catch (error) {
@@ -423,167 +867,639 @@
     }
   }
 
-  function renderText() {
-    if (!textContainer) return;
-
-    // Check if completed - show completion screen when all characters are typed
-    // (regardless of whether they're correct or not)
-    const typedTrimmed = typedText.trimEnd();
-    const originalTrimmed = originalText.trimEnd();
+  // Set the text to type, split into characters, with every character pending
+  function setText(text) {
+    engine.setText(text);
+  }
 
-    // Check if all characters are typed (even if there are mistakes)
-    if (typedTrimmed.length === originalTrimmed.length) {
-      console.log('Completion detected! Showing completion screen.');
-      console.log('Typed length:', typedTrimmed.length, 'Original length:', originalTrimmed.length);
-      showCompletionScreen();
-      return;
+  // Characters that may be typed in place of others: the lesson's list, or config.equivalentCharacters
+  function getEquivalenceRules() {
+    const rules = currentLesson && retryText === null && Array.isArray(currentLesson.equivalentCharacters)
+      ? currentLesson.equivalentCharacters
+      : config.equivalentCharacters;
+    if (!Array.isArray(rules)) {
+      return [];
     }
 
-    // Hide completion screen if visible and show typing container
-    if (completionScreen) {
-      completionScreen.style.display = 'none';
-    }
-    const typingTextContainer = document.querySelector('.typing-text-container');
-    if (typingTextContainer) {
-      typingTextContainer.style.display = 'block';
+    const unknown = rules.filter(rule => !TextSegmenter.EQUIVALENCE_RULES.includes(rule));
+    if (unknown.length > 0 && !warnedEquivalenceRules) {
+      console.warn(`Ignoring unknown equivalentCharacters: ${unknown.join(', ')}`);
+      warnedEquivalenceRules = true;
     }
+    return rules.filter(rule => TextSegmenter.EQUIVALENCE_RULES.includes(rule));
+  }
 
-    let html = '';
-    const currentPosition = typedText.length;
-
-    for (let i = 0; i < originalText.length; i++) {
-      const char = originalText[i];
-      const state = charStates[i];
-      let className = 'char-';
+  // Passage mode text: the selected library passage, or text-to-input.txt
+  async function loadPassageText() {
+    if (usesTextLibrary()) {
+      const selected = TextLibrary.getText(textLibrary, TextLibrary.loadSelection()) || TextLibrary.pickRandom(textLibrary);
+      currentPassage = await TextLibrary.load(selected.id);
+      return currentPassage.text.trimEnd();
+    }
 
-      if (i < typedText.length) {
-        // Character has been typed
-        if (state === 'incorrect') {
-          className += 'incorrect';
-        } else {
-          className += 'correct';
-        }
-      } else {
-        // Character not yet typed
-        className += 'pending';
-      }
+    const response = await fetch('./text-to-input.txt');
+    if (!response.ok) {
+      throw new Error('Failed to load text file');
+    }
+    // Trim trailing whitespace/newlines but keep the original for display
+    return (await response.text()).trimEnd();
+  }
 
-      // Handle special characters that need escaping
-      let displayChar = char;
-      if (char === ' ') {
-        displayChar = '\u00A0'; // Non-breaking space
-      } else if (char === '\n') {
-        displayChar = '<br>';
-      } else {
-        displayChar = escapeHtml(char);
-      }
+  // Whether free passage practice draws from the text library
+  function usesTextLibrary() {
+    return textLibrary.length > 0 && currentLesson === null && retryText === null &&
+      getSessionMode() === 'passage' && getGeneratedTextOptions().enabled !== true;
+  }
 
-      // Add cursor class to the character at the typing position
-      if (i === currentPosition) {
-        className += ' cursor-position';
+  // List the library passages and fill the passage picker; the picker stays
+  // hidden when the library is disabled, empty or the server is unavailable
+  async function initializeTextLibrary() {
+    textSelect = document.getElementById('text-select');
+    randomTextButton = document.getElementById('btn-random-text');
+
+    if (config.textLibrary === true) {
+      try {
+        textLibrary = await TextLibrary.list();
+      } catch (error) {
+        console.warn('Text library unavailable, using text-to-input.txt:', error);
       }
-
-      html += `<span class="${className}">${displayChar}</span>`;
     }
+    updateTextPicker();
+    if (textLibrary.length === 0) return;
 
-    // If all characters are typed, add a cursor position marker at the end
-    if (currentPosition === originalText.length) {
-      html += '<span class="char-pending cursor-position">\u00A0</span>';
+    if (textSelect) {
+      textLibrary.forEach(text => {
+        const option = document.createElement('option');
+        option.value = text.id;
+        option.textContent = TextLibrary.describe(text);
+        textSelect.appendChild(option);
+      });
+      textSelect.addEventListener('change', () => {
+        selectPassage(textSelect.value);
+      });
     }
 
-    textContainer.innerHTML = html;
-
-    // Update key tip if enabled
-    updateKeyTip();
+    if (randomTextButton) {
+      randomTextButton.addEventListener('click', () => {
+        const text = TextLibrary.pickRandom(textLibrary, currentPassage ? currentPassage.id : null);
+        selectPassage(text.id);
+      });
+    }
   }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  // Remember the chosen library passage and start typing it
+  function selectPassage(textId) {
+    TextLibrary.saveSelection(textId);
+    retryText = null;
+    loadText().then(restart);
   }
 
-  function handleInput(e) {
-    let input = e.target.value;
-
-    // Filter out unavailable keys if availableKeys is configured
-    if (availableKeysSet.size > 0) {
-      let filteredInput = '';
-      for (let i = 0; i < input.length; i++) {
-        const char = input[i];
-        if (isKeyAvailable(char)) {
-          filteredInput += char;
-        }
+  // Show the passage picker only while the text comes from the library
+  function updateTextPicker() {
+    const visible = usesTextLibrary();
+    if (textSelect) {
+      textSelect.style.display = visible ? '' : 'none';
+      if (currentPassage) {
+        textSelect.value = currentPassage.id;
       }
-      input = filteredInput;
-      e.target.value = input;
     }
-
-    // Start timer on first keypress
-    if (startTime === null && input.length > 0) {
-      startTime = Date.now();
+    if (randomTextButton) {
+      randomTextButton.style.display = visible ? '' : 'none';
     }
+  }
 
-    // Prevent typing beyond the original text length
-    if (input.length > originalText.length) {
-      input = input.slice(0, originalText.length);
-      e.target.value = input;
-    }
+  // Lessons are always typed as passages
+  function isTimedMode() {
+    return config.mode === 'timed' && currentLesson === null && retryText === null;
+  }
 
-    const inputLength = input.length;
-    const typedLength = typedText.length;
+  function isAdaptiveMode() {
+    return config.mode === 'adaptive' && currentLesson === null && retryText === null;
+  }
 
-    // Handle typing forward
-    if (inputLength > typedLength) {
-      const newChars = input.slice(typedLength);
-      for (let i = 0; i < newChars.length; i++) {
-        const charIndex = typedLength + i;
-        if (charIndex >= originalText.length) {
-          break;
-        }
+  function isCodeMode() {
+    return config.mode === 'code' && currentLesson === null && retryText === null;
+  }
+
+  function isRaceMode() {
+    return config.mode === 'race' && currentLesson === null && retryText === null;
+  }
+
+  // Mode recorded with the session result
+  function getSessionMode() {
+    if (isTimedMode()) return 'timed';
+    if (isAdaptiveMode()) return 'adaptive';
+    if (isCodeMode()) return 'code';
+    if (isRaceMode()) return 'race';
+    return 'passage';
+  }
+
+  // Code mode settings over the defaults; invalid values fall back with a warning
+  function getCodeOptions() {
+    const options = { ...DEFAULT_CODE_OPTIONS, ...(config.code || {}) };
+    if (options.indentation !== 'skip' && options.indentation !== 'type') {
+      console.warn(`Unknown code indentation "${options.indentation}", using "skip"`);
+      options.indentation = 'skip';
+    }
+    if (!Number.isInteger(options.tabWidth) || options.tabWidth < 1) {
+      console.warn(`Invalid code tabWidth ${options.tabWidth}, using ${DEFAULT_CODE_OPTIONS.tabWidth}`);
+      options.tabWidth = DEFAULT_CODE_OPTIONS.tabWidth;
+    }
+    options.tabsEqualSpaces = options.tabsEqualSpaces !== false;
+    return options;
+  }
+
+  // Load the code snippets for code mode (once)
+  async function loadCodeSnippets() {
+    if (codeSnippets.length > 0) return;
+
+    const response = await fetch('./code-snippets.json');
+    if (!response.ok) {
+      throw new Error('Failed to load code snippets');
+    }
+    const manifest = await response.json();
+    codeSnippets = (Array.isArray(manifest.snippets) ? manifest.snippets : []).filter(snippet =>
+      snippet && typeof snippet.id === 'string' && typeof snippet.language === 'string' && typeof snippet.code === 'string'
+    );
+  }
+
+  // Snippet code as it is typed: Unix line breaks, no trailing whitespace,
+  // and tabs expanded to spaces when the two are interchangeable
+  function prepareCode(code) {
+    const text = TextSegmenter.normalize(code).trimEnd();
+    const options = getCodeOptions();
+    return options.tabsEqualSpaces ? expandTabs(text, options.tabWidth) : text;
+  }
+
+  // Replace tabs with spaces up to the next tab stop
+  function expandTabs(text, tabWidth) {
+    return text.split('\n').map(line => {
+      let expanded = '';
+      for (const char of line) {
+        expanded += char === '\t' ? ' '.repeat(tabWidth - (expanded.length % tabWidth)) : char;
+      }
+      return expanded;
+    }).join('\n');
+  }
+
+  // Pick a random snippet in the configured language (a different one than last
+  // time when possible) and highlight it
+  function generateCodeText() {
+    const language = getCodeOptions().language;
+    const candidates = codeSnippets.filter(snippet =>
+      (!language || snippet.language === language) && canTypeText(prepareCode(snippet.code))
+    );
+    if (candidates.length === 0) {
+      throw new Error(`No code snippets${language ? ` in ${language}` : ''} can be typed with the available keys`);
+    }
+
+    const fresh = candidates.length > 1 ? candidates.filter(snippet => snippet !== currentSnippet) : candidates;
+    currentSnippet = fresh[Math.floor(Math.random() * fresh.length)];
+    const text = prepareCode(currentSnippet.code);
+
+    // Highlighting is per UTF-16 code unit; keep the token each character starts with
+    const tokens = CodeHighlighter.tokenize(text, currentSnippet.language);
+    let offset = 0;
+    codeTokens = TextSegmenter.split(text).map(char => {
+      const token = tokens[offset];
+      offset += char.length;
+      return token;
+    });
+    return text;
+  }
+
+  // What the Tab key types at a position: spaces to the next tab stop when tabs
+  // and spaces are interchangeable in code mode, otherwise a tab
+  function getTabText(position) {
+    const options = getCodeOptions();
+    if (!isCodeMode() || !options.tabsEqualSpaces) {
+      return '\t';
+    }
+    const column = position === 0 ? 0 : position - (engine.textChars.lastIndexOf('\n', position - 1) + 1);
+    return ' '.repeat(options.tabWidth - (column % options.tabWidth));
+  }
+
+  // Reload the learner's weakest keys and bigrams from their accumulated key stats
+  function refreshWeakKeys() {
+    weakKeys = KeyStats.getWeakest(KeyStats.load(learnerId), ADAPTIVE_FOCUS_LIMIT);
+  }
+
+  function isWeakKey(char) {
+    return weakKeys.keys.some(entry => entry.key === char.toLowerCase());
+  }
+
+  // Drill text favouring words with the weakest keys and bigrams
+  function generateAdaptiveText() {
+    refreshWeakKeys();
+    const { enabled, ...options } = getGeneratedTextOptions();
+    const toWeights = entries => Object.fromEntries(entries.map(entry => [entry.key, entry.score]));
+
+    return TextGenerator.generate({
+      ...options,
+      words: wordList,
+      allowedKeys: Array.from(availableKeysSet),
+      focus: { keys: toWeights(weakKeys.keys), bigrams: toWeights(weakKeys.bigrams) }
+    });
+  }
+
+  // Outline the weakest keys on the keyboard during the adaptive drill
+  function updateWeakKeyMarkers() {
+    if (!keyboardContainer) return;
+
+    keyboardContainer.querySelectorAll('.weak-key').forEach(element => {
+      element.classList.remove('weak-key');
+    });
+    if (!isAdaptiveMode()) return;
+
+    weakKeys.keys.forEach(entry => {
+      const keyElement = getKeyElement(entry.key);
+      if (keyElement) {
+        keyElement.classList.add('weak-key');
+      }
+    });
+  }
+
+  // Add a finished session's keystrokes to the learner's per-key history
+  function recordKeyStats() {
+    const sessionStats = KeyStats.fromKeystrokes(engine.keystrokes);
+    KeyStats.save(learnerId, KeyStats.merge(KeyStats.load(learnerId), sessionStats));
+  }
+
+  // Switch between passage, timed, adaptive, code and race practice (lessons return to free practice)
+  function setMode(mode) {
+    if (mode !== 'race' && raceRoom !== null) {
+      RaceClient.leave();
+      resetRace();
+    }
+    config.mode = mode;
+    if (modeSelect) {
+      modeSelect.value = mode;
+    }
+
+    if (currentLesson) {
+      return selectLesson(null);
+    }
+    return loadText().then(restart);
+  }
+
+  function initializeModePicker() {
+    modeSelect = document.getElementById('mode-select');
+    if (!modeSelect) return;
+
+    const modes = ['passage', 'timed', 'adaptive', 'code', 'race'];
+    modeSelect.value = modes.includes(config.mode) ? config.mode : 'passage';
+    modeSelect.addEventListener('change', () => {
+      setMode(modeSelect.value);
+    });
+  }
+
+  function getTimedDuration() {
+    if (TIMED_DURATIONS.includes(config.timedDuration)) {
+      return config.timedDuration;
+    }
+    console.warn(`Unsupported timedDuration ${config.timedDuration}, using ${DEFAULT_TIMED_DURATION}s`);
+    return DEFAULT_TIMED_DURATION;
+  }
+
+  // Load the word source for timed tests (one word per line)
+  async function loadWordList() {
+    if (wordList.length > 0) return;
+
+    const response = await fetch('./word-list.txt');
+    if (!response.ok) {
+      throw new Error('Failed to load word list');
+    }
+    const content = await response.text();
+    wordList = content.split('\n').map(word => word.trim()).filter(word => word.length > 0);
+    if (wordList.length === 0) {
+      throw new Error('Word list is empty');
+    }
+  }
+
+  // Settings for generated free-practice text, over the generator's defaults
+  function getGeneratedTextOptions() {
+    return { enabled: false, ...(config.generatedText || {}) };
+  }
 
-        const expectedChar = originalText[charIndex];
-        const typedChar = newChars[i];
+  // Whether every character of a text can be typed with the available keys
+  function canTypeText(text) {
+    return TextSegmenter.split(text).every(char => isKeyAvailable(char));
+  }
+
+  // Free-practice text from the word list, limited to the available keys
+  function generatePracticeText() {
+    const { enabled, ...options } = getGeneratedTextOptions();
+    return TextGenerator.generate({
+      ...options,
+      words: wordList,
+      allowedKeys: Array.from(availableKeysSet)
+    });
+  }
+
+  // Words for timed tests, limited to the available keys
+  function generateWords(count) {
+    return TextGenerator.generate({
+      words: wordList,
+      allowedKeys: Array.from(availableKeysSet),
+      wordCount: count
+    });
+  }
+
+  // Stream more words onto the end of the text while the learner is close to it
+  function ensureTimedTextAhead(position) {
+    while (engine.textChars.length - position < TIMED_LOOKAHEAD_CHARS) {
+      engine.appendText(' ' + generateWords(TIMED_WORDS_PER_CHUNK));
+    }
+  }
+
+  function startCountdown() {
+    const remainingMs = getTimedDuration() * 1000 - (getSessionNow() - startTime);
+    timedTestTimeout = setTimeout(finishTimedTest, remainingMs);
+    countdownInterval = setInterval(updateCountdown, 100);
+    updateCountdown();
+  }
+
+  function stopCountdown() {
+    if (timedTestTimeout) {
+      clearTimeout(timedTestTimeout);
+      timedTestTimeout = null;
+    }
+    if (countdownInterval) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+  }
+
+  // Show the seconds remaining (the full duration until typing starts)
+  function updateCountdown() {
+    if (!countdownElement) return;
+
+    // Seconds until a race starts
+    if (raceCountdownInterval) {
+      countdownElement.textContent = Math.ceil((raceStartsAt - Date.now()) / 1000).toString();
+      countdownElement.style.display = 'block';
+      return;
+    }
+
+    if (!isTimedMode()) {
+      countdownElement.style.display = 'none';
+      return;
+    }
+
+    const duration = getTimedDuration();
+    const elapsed = startTime === null ? 0 : (getSessionNow() - startTime) / 1000;
+    const remaining = Math.max(0, duration - elapsed);
+    countdownElement.textContent = Math.ceil(remaining).toString();
+    countdownElement.style.display = 'block';
+  }
+
+  // The clock hit zero: lock input and show the results for the time window
+  function finishTimedTest() {
+    stopCountdown();
+    if (countdownElement) {
+      countdownElement.style.display = 'none';
+    }
+    if (hiddenInput) {
+      hiddenInput.disabled = true;
+    }
+    showCompletionScreen();
+  }
+
+  // Keep the line with the cursor visible when the text is taller than its container
+  function scrollCursorIntoView() {
+    const cursor = textContainer.querySelector('.cursor-position');
+    if (!cursor) return;
+
+    const lineHeight = cursor.offsetHeight;
+    textContainer.scrollTop = Math.max(0, cursor.offsetTop - textContainer.offsetTop - lineHeight);
+  }
+
+  function renderText() {
+    if (!textContainer) return;
+
+    // Race mode has nothing to type until a race starts
+    if (isRaceMode() && engine.textChars.length === 0) {
+      textContainer.innerHTML = `<p class="race-waiting">${raceRoom === null
+        ? 'Join a room and start a race to get a passage.'
+        : 'Start the race when everyone in the room is ready.'}</p>`;
+      return;
+    }
+
+    // Check if completed - show completion screen when all characters are typed
+    // (mistakes are allowed unless the error policy requires fixing them)
+    // Timed tests never run out of text; they end when the countdown does
+    if (!isTimedMode() && isPassageComplete()) {
+      console.log('Completion detected! Showing completion screen.');
+      console.log('Typed length:', TypingEngine.getTrimmedLength(engine.typedChars), 'Original length:', TypingEngine.getTrimmedLength(engine.textChars));
+      showCompletionScreen();
+      return;
+    }
+
+    // Everything is typed but the error policy wants the mistakes fixed first
+    const awaitingFixes = !isTimedMode() && engine.isTextTyped();
+    if (awaitingFixes !== awaitingFixesShown) {
+      awaitingFixesShown = awaitingFixes;
+      setStatus(awaitingFixes ? 'Fix the remaining errors to finish' : 'Ready');
+    }
+
+    // Hide completion screen if visible and show typing container
+    if (completionScreen) {
+      completionScreen.style.display = 'none';
+    }
+    const typingTextContainer = document.querySelector('.typing-text-container');
+    if (typingTextContainer) {
+      typingTextContainer.style.display = 'block';
+    }
 
-        totalInputs++; // Track total inputs
+    textContainer.classList.toggle('code-text', codeTokens !== null);
+    textContainer.style.tabSize = codeTokens !== null ? String(getCodeOptions().tabWidth) : '';
+    textContainer.innerHTML = buildTextHtml(engine.typedChars, engine.charStates, engine.blockedIndex);
+    scrollCursorIntoView();
+
+    // Update key tip if enabled
+    updateKeyTip();
+  }
+
+  // Build the passage markup for the typed characters so far and character states
+  // blockedIndex marks a position where a wrong key was just rejected (stop on error)
+  function buildTextHtml(typed, states, blockedIndex = -1) {
+    let html = '';
+    const currentPosition = typed.length;
+
+    for (let i = 0; i < engine.textChars.length; i++) {
+      const char = engine.textChars[i];
+      const state = states[i];
+      let className = 'char-';
 
-        const isError = typedChar !== expectedChar;
-        if (isError) {
-          charStates[charIndex] = 'incorrect';
-          totalErrors++; // Track total errors (even if later fixed)
+      if (i < typed.length) {
+        // Character has been typed
+        if (state === 'incorrect') {
+          className += 'incorrect';
         } else {
-          charStates[charIndex] = 'correct';
+          className += 'correct';
         }
+      } else {
+        // Character not yet typed
+        className += 'pending';
+      }
+
+      // Syntax highlighting in code mode
+      if (codeTokens && codeTokens[i]) {
+        className += ` tok-${codeTokens[i]}`;
+      }
+
+      // Handle special characters that need escaping
+      let displayChar = char;
+      if (char === ' ') {
+        displayChar = '\u00A0'; // Non-breaking space
+      } else if (char === '\n') {
+        displayChar = '<br>';
+      } else {
+        displayChar = escapeHtml(char);
+      }
 
-        // Highlight keyboard key
-        if (keyboardEnabled) {
-          highlightKey(typedChar, isError);
+      // Add cursor class to the character at the typing position
+      if (i === currentPosition) {
+        className += ' cursor-position';
+        if (i === blockedIndex) {
+          className += ' char-blocked';
         }
       }
-      typedText = input;
+
+      html += `<span class="${className}">${displayChar}</span>`;
     }
-    // Handle backspace/delete
-    else if (inputLength < typedLength) {
-      typedText = input;
-      // Reset states for characters that are no longer typed
-      for (let i = inputLength; i < originalText.length; i++) {
-        if (i < charStates.length) {
-          charStates[i] = 'pending';
-        }
+
+    // If all characters are typed, add a cursor position marker at the end
+    if (currentPosition === engine.textChars.length) {
+      html += '<span class="char-pending cursor-position">\u00A0</span>';
+    }
+
+    return html;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function handleInput(e) {
+    // Text being composed with an input method is handled once it is committed
+    if (isComposing) {
+      return;
+    }
+
+    let input = TextSegmenter.split(e.target.value);
+
+    // Filter out unavailable keys if availableKeys is configured
+    if (availableKeysSet.size > 0) {
+      input = input.filter(char => isKeyAvailable(char));
+    }
+
+    // Start timer on first keypress
+    if (startTime === null && input.length > 0) {
+      startTime = Date.now();
+      sessionStartedAt = new Date(startTime).toISOString();
+      if (isTimedMode()) {
+        startCountdown();
       }
+      emit('start', { mode: getSessionMode(), title: getPracticeTitle() });
+      EmbedApi.post('started');
+    }
 
-      // Highlight backspace key (only if available)
-      if (keyboardEnabled && isKeyAvailable('backspace')) {
-        highlightKey('backspace', false);
+    if (isTimedMode()) {
+      ensureTimedTextAhead(input.length);
+    }
+
+    configureEngine();
+    const keystrokes = engine.input(input, startTime === null ? 0 : Date.now() - startTime);
+
+    // Keyboard highlights and events for each keystroke
+    if (keyboardEnabled && isKeyAvailable('backspace') && keystrokes.some(entry => entry.type === 'delete')) {
+      highlightKey('backspace', false);
+    }
+    keystrokes.forEach(entry => {
+      emit('keystroke', { ...entry });
+      if (entry.type !== 'insert') return;
+
+      const isError = entry.typed !== entry.expected;
+      if (isError) {
+        emit('error', { index: entry.index, expected: entry.expected, typed: entry.typed });
+      } else {
+        if (entry.correction) {
+          emit('correction', { index: entry.index, expected: entry.expected });
+        }
+        const word = engine.getCompletedWord(entry.index);
+        if (word) {
+          emit('wordComplete', word);
+        }
+      }
+      if (keyboardEnabled) {
+        highlightKey(entry.typed, isError);
       }
+    });
+
+    // Keep the hidden input in step with what was accepted
+    const value = engine.inputChars.join('');
+    if (e.target.value !== value) {
+      e.target.value = value;
     }
 
     renderText();
     updateRealtimeStats();
+    EmbedApi.post('progress', buildLiveProgress());
+    if (isRaceMode() && raceStarted && !raceFinished) {
+      RaceClient.sendProgress(buildLiveProgress());
+    }
     // updateKeyTip is called in renderText, so no need to call it here
   }
 
+  // Current error policy: defaults, then config.errorPolicy, then the lesson's errorPolicy
+  function getErrorPolicy() {
+    return TypingEngine.normalizeErrorPolicy({
+      ...(config.errorPolicy || {}),
+      ...(currentLesson && retryText === null && currentLesson.errorPolicy ? currentLesson.errorPolicy : {})
+    });
+  }
+
+  // Pass the current error policy, equivalence rules and code indentation setting to the engine
+  function configureEngine() {
+    engine.configure({
+      errorPolicy: getErrorPolicy(),
+      equivalentCharacters: getEquivalenceRules(),
+      skipIndentation: isCodeMode() && getCodeOptions().indentation === 'skip'
+    });
+  }
+
+  // Shortest the typed text may become through backspace under the current policy
+  function getMinimumTypedLength() {
+    configureEngine();
+    return engine.getMinimumTypedLength();
+  }
+
+  // Whether the passage can be finished: everything typed and, if required, correct
+  function isPassageComplete() {
+    configureEngine();
+    return engine.isComplete();
+  }
+
+  // Call the listeners for a public event; a failing listener does not stop typing
+  function emit(type, event) {
+    (eventListeners[type] || []).forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in ${type} listener:`, error);
+      }
+    });
+  }
+
   function handleKeyDown(e) {
+    // Keys pressed while an input method composes text belong to the IME
+    if (e.isComposing || isComposing) {
+      return;
+    }
+
     // Handle Enter key - check availability but let textarea handle insertion
     if (e.key === 'Enter' || e.key === 'Return') {
       if (!isKeyAvailable('\n')) {
@@ -592,7 +1508,7 @@
       }
 
       // Check if we can still type (not beyond original text length)
-      if (hiddenInput.value.length >= originalText.length) {
+      if (engine.typedChars.length >= engine.textChars.length) {
         e.preventDefault(); // Can't type beyond original text
         return;
       }
@@ -619,23 +1535,24 @@
       }
 
       // Check if we can still type (not beyond original text length)
-      if (hiddenInput.value.length >= originalText.length) {
+      if (engine.typedChars.length >= engine.textChars.length) {
         return; // Can't type beyond original text
       }
 
       // Get current cursor position
       const cursorPos = hiddenInput.selectionStart || hiddenInput.value.length;
 
-      // Insert tab at cursor position
+      // Insert tab (or spaces to the next tab stop in code mode) at cursor position
+      const tabText = getTabText(engine.typedChars.length);
       const currentValue = hiddenInput.value;
-      const newValue = currentValue.slice(0, cursorPos) + '\t' + currentValue.slice(cursorPos);
+      const newValue = currentValue.slice(0, cursorPos) + tabText + currentValue.slice(cursorPos);
 
       // Update input value
       hiddenInput.value = newValue;
 
       // Move cursor after the inserted tab
       setTimeout(() => {
-        hiddenInput.setSelectionRange(cursorPos + 1, cursorPos + 1);
+        hiddenInput.setSelectionRange(cursorPos + tabText.length, cursorPos + tabText.length);
       }, 0);
 
       // Highlight keyboard key if enabled
@@ -656,25 +1573,66 @@
       return;
     }
 
-    // Prevent default behavior for backspace when at start
-    if (e.key === 'Backspace' && hiddenInput.value.length === 0) {
+    // Prevent default behavior for backspace when at start, or where the
+    // error policy does not allow it
+    if ((e.key === 'Backspace' || e.key === 'Delete') &&
+        (engine.typedChars.length === 0 || engine.typedChars.length <= getMinimumTypedLength())) {
       e.preventDefault();
     }
   }
 
   function restart() {
-    typedText = '';
-    for (let i = 0; i < charStates.length; i++) {
-      charStates[i] = 'pending';
+    if (lessonTextPending) {
+      loadText().then(restart);
+      return;
     }
+    engine.reset();
     if (hiddenInput) {
       hiddenInput.value = '';
     }
 
+    // Stop any replay in progress and the timed test countdown
+    stopReplay();
+    stopCountdown();
+    if (hiddenInput) {
+      hiddenInput.disabled = !isInputAllowed();
+    }
+
     // Reset statistics
     startTime = null;
-    totalErrors = 0;
-    totalInputs = 0;
+    pausedAt = null;
+    sessionStartedAt = null;
+    lastResult = null;
+    awaitingFixesShown = false;
+
+    // Timed tests, generated lessons and generated practice text get fresh text
+    let newText = null;
+    if (retryText !== null) {
+      newText = retryText;
+    } else if (currentLesson) {
+      if (currentLesson.generator) {
+        newText = Curriculum.getLessonText(currentLesson, wordList);
+      }
+    } else if (isTimedMode() && wordList.length > 0) {
+      newText = generateWords(TIMED_WORDS_PER_CHUNK);
+    } else if (isAdaptiveMode() && wordList.length > 0) {
+      newText = generateAdaptiveText();
+    } else if (isCodeMode() && codeSnippets.length > 0) {
+      newText = generateCodeText();
+    } else if (textIsGenerated) {
+      newText = generatePracticeText();
+    }
+    if (newText !== null) {
+      if (!isCodeMode()) {
+        codeTokens = null;
+      }
+      setText(newText);
+    }
+    updateCountdown();
+    updatePracticeInfo();
+    updateTextPicker();
+    renderRacePanel();
+    updateWeakKeyMarkers();
 
     // Clear real-time stats interval
     if (realtimeStatsInterval) {
@@ -716,6 +1674,10 @@
     if (statsDashboard) {
       statsDashboard.style.display = 'none';
     }
+    if (reviewPanel) {
+      reviewPanel.style.display = 'none';
+    }
+    renderLessonOutcome(null);
 
     // Show real-time stats again if configured
     if (realtimeStatsContainer) {
@@ -740,6 +1702,7 @@
 
     renderText();
     setStatus('Ready');
+    emit('restart', {});
 
     // Focus the input after a short delay
     setTimeout(() => {
@@ -751,49 +1714,20 @@
 
   // Calculate real-time statistics (while typing)
   function calculateRealtimeStats() {
-    // Calculate chars typed and total
-    const charsTyped = typedText.length;
-    const charsTotal = originalText.length;
-
-    if (startTime === null) {
-      return {
-        speed: 0,
-        accuracy: 0,
-        time: 0,
-        errors: 0,
-        errorsLeft: 0,
-        chars: { typed: charsTyped, total: charsTotal }
-      };
-    }
-
-    const currentTime = Date.now();
-    const totalTimeSeconds = (currentTime - startTime) / 1000;
-    const totalTimeMinutes = totalTimeSeconds / 60;
-
-    // Count errors left (unfixed incorrect characters)
-    let errorsLeft = 0;
-    for (let i = 0; i < charStates.length; i++) {
-      if (charStates[i] === 'incorrect') {
-        errorsLeft++;
-      }
-    }
-
-    // Calculate accuracy: (correct inputs / total inputs) * 100
-    const correctInputs = totalInputs - totalErrors;
-    const accuracy = totalInputs > 0 ? (correctInputs / totalInputs) * 100 : 0;
-
-    // Calculate words per minute
-    // Count words by splitting on whitespace
-    const wordsTyped = originalText.trim().split(/\s+/).filter(word => word.length > 0).length;
-    const wpm = totalTimeMinutes > 0 ? wordsTyped / totalTimeMinutes : 0;
+    const elapsedMs = startTime === null ? 0 : getSessionNow() - startTime;
+    const metrics = engine.getMetrics(elapsedMs);
 
     return {
-      speed: wpm,
-      accuracy: accuracy,
-      time: totalTimeSeconds,
-      errors: totalErrors,
-      errorsLeft: errorsLeft,
-      chars: { typed: charsTyped, total: charsTotal }
+      speed: metrics.netWpm,
+      grossWpm: metrics.grossWpm,
+      cpm: metrics.cpm,
+      kspc: metrics.kspc,
+      accuracy: metrics.rawAccuracy,
+      adjustedAccuracy: metrics.adjustedAccuracy,
+      time: metrics.elapsedSeconds,
+      errors: metrics.totalErrors,
+      errorsLeft: metrics.errorsLeft,
+      chars: { typed: engine.typedChars.length, total: engine.textChars.length }
     };
   }
 
@@ -821,7 +1755,11 @@
     // Map of stat keys to display info
     const statMap = {
       speed: { label: 'WPM', value: stats.speed, format: (v) => v.toFixed(1) },
+      grossWpm: { label: 'Gross WPM', value: stats.grossWpm, format: (v) => v.toFixed(1) },
+      cpm: { label: 'CPM', value: stats.cpm, format: (v) => Math.round(v).toString() },
+      kspc: { label: 'KSPC', value: stats.kspc, format: (v) => v.toFixed(2) },
       accuracy: { label: 'Accuracy', value: stats.accuracy, format: (v) => v.toFixed(1) + '%' },
+      adjustedAccuracy: { label: 'Adj. Acc.', value: stats.adjustedAccuracy, format: (v) => v.toFixed(1) + '%' },
       time: { label: 'Time', value: stats.time, format: (v) => {
         if (v < 60) {
           return v.toFixed(1) + 's';
@@ -867,69 +1805,37 @@
 
   function calculateStatistics() {
     console.log('Calculating statistics...');
-    console.log('startTime:', startTime, 'totalInputs:', totalInputs, 'totalErrors:', totalErrors);
+    console.log('startTime:', startTime, 'keystrokes:', engine.keystrokes.length);
 
     if (startTime === null) {
       console.log('No typing started, returning null');
       return null; // No typing started
     }
 
-    const endTime = Date.now();
-    const totalTimeSeconds = (endTime - startTime) / 1000;
-    const totalTimeMinutes = totalTimeSeconds / 60;
-
-    // Count errors left (unfixed incorrect characters)
-    let errorsLeft = 0;
-    for (let i = 0; i < charStates.length; i++) {
-      if (charStates[i] === 'incorrect') {
-        errorsLeft++;
-      }
+    // Timed tests are scored over the configured window, even if the results
+    // are computed a moment after the clock ran out
+    let endTime = Date.now();
+    if (isTimedMode()) {
+      endTime = Math.min(endTime, startTime + getTimedDuration() * 1000);
     }
 
-    // Calculate accuracy: (correct inputs / total inputs) * 100
-    const correctInputs = totalInputs - totalErrors;
-    const accuracy = totalInputs > 0 ? (correctInputs / totalInputs) * 100 : 0;
-
-    // Calculate words per minute
-    // Count words by splitting on whitespace
-    const wordsTyped = originalText.trim().split(/\s+/).filter(word => word.length > 0).length;
-    const wpm = totalTimeMinutes > 0 ? wordsTyped / totalTimeMinutes : 0;
-
-    const stats = {
-      totalErrors: totalErrors,
-      errorsLeft: errorsLeft,
-      totalTime: totalTimeSeconds,
-      accuracy: accuracy,
-      speed: wpm
-    };
+    const stats = engine.getStatistics(endTime - startTime);
 
     console.log('Calculated statistics:', stats);
     return stats;
   }
 
-  async function saveStatistics(stats) {
-    console.log('saveStatistics called with:', stats);
+  // Legacy export: the server writes a human-readable summary of the stored
+  // session (with the statistics it recomputed) to client/stats.txt
+  async function saveStatistics(sessionId) {
+    console.log('saveStatistics called for session', sessionId);
     try {
-      // Format statistics text
-      const statsText = `Typing Statistics
-==================
-
-Total Errors Made: ${stats.totalErrors}
-Errors Left (Unfixed): ${stats.errorsLeft}
-Total Time: ${stats.totalTime.toFixed(2)} seconds
-Accuracy: ${stats.accuracy.toFixed(2)}%
-Speed: ${stats.speed.toFixed(2)} words per minute
-
-Generated: ${new Date().toLocaleString()}
-`;
-
-      console.log('Sending stats to server:', statsText);
       const response = await fetch('/save-stats', {
         method: 'POST',
         headers: {
-          'Content-Type': 'text/plain',
+          'Content-Type': 'application/json',
         },
-        body: statsText
+        body: JSON.stringify({ sessionId: sessionId })
       });
 
       console.log('Server response status:', response.status);
@@ -946,45 +1852,186 @@ Generated: ${new Date().toLocaleString()}
     }
   }
 
-  // Parse stats from stats.txt file
-  function parseStatsText(statsText) {
-    const stats = {};
-    const lines = statsText.split('\n');
+  // Identify the learner: a ?learner= URL parameter wins, otherwise a random id
+  // generated on first visit and remembered in localStorage
+  function getLearnerId() {
+    // An id the server would reject would lose every session, so use the stored one instead
+    const fromUrl = new URLSearchParams(window.location.search).get('learner');
+    if (fromUrl && MessageProtocol.LEARNER_ID_PATTERN.test(fromUrl)) {
+      return fromUrl;
+    }
+    if (fromUrl) {
+      console.warn(`Ignoring ?learner=${fromUrl}: ids are 1-100 letters, digits or . _ @ -`);
+    }
 
-    for (const line of lines) {
-      if (line.includes('Total Errors Made:')) {
-        const match = line.match(/Total Errors Made:\s*(\d+)/);
-        if (match) stats.totalErrors = parseInt(match[1], 10);
-      } else if (line.includes('Errors Left (Unfixed):')) {
-        const match = line.match(/Errors Left \(Unfixed\):\s*(\d+)/);
-        if (match) stats.errorsLeft = parseInt(match[1], 10);
-      } else if (line.includes('Total Time:')) {
-        const match = line.match(/Total Time:\s*([\d.]+)\s*seconds/);
-        if (match) stats.totalTime = parseFloat(match[1]);
-      } else if (line.includes('Accuracy:')) {
-        const match = line.match(/Accuracy:\s*([\d.]+)%/);
-        if (match) stats.accuracy = parseFloat(match[1]);
-      } else if (line.includes('Speed:')) {
-        const match = line.match(/Speed:\s*([\d.]+)\s*words per minute/);
-        if (match) stats.speed = parseFloat(match[1]);
+    try {
+      let storedId = localStorage.getItem(LEARNER_ID_STORAGE_KEY);
+      if (!storedId) {
+        storedId = 'learner-' + Math.random().toString(36).slice(2, 10);
+        localStorage.setItem(LEARNER_ID_STORAGE_KEY, storedId);
       }
+      return storedId;
+    } catch (error) {
+      console.warn('localStorage unavailable, recording sessions as anonymous:', error);
+      return 'anonymous';
     }
+  }
 
-    return stats;
+  // Version of the session result format sent to POST /api/sessions
+  const RESULT_SCHEMA_VERSION = 2;
+
+  // Per-character timings for the final typed text: when each character was
+  // last entered and how long it took since the previous keystroke
+  function calculateCharTimings() {
+    const timings = [];
+    let previousTimestamp = 0;
+
+    engine.keystrokes.forEach(entry => {
+      if (entry.type === 'insert') {
+        timings[entry.index] = {
+          index: entry.index,
+          expected: entry.expected,
+          typed: entry.typed,
+          timestamp: entry.timestamp,
+          interval: entry.timestamp - previousTimestamp
+        };
+      } else {
+        timings[entry.index] = undefined;
+      }
+      previousTimestamp = entry.timestamp;
+    });
+
+    return timings.filter(timing => timing !== undefined);
   }
 
-  // Load and display stats dashboard
-  async function showStatsDashboard() {
-    // Hide typing container
-    const typingTextContainer = document.querySelector('.typing-text-container');
-    if (typingTextContainer) {
-      typingTextContainer.style.display = 'none';
-    }
+  // Per-finger keystrokes, errors and average time per keystroke, based on the
+  // finger that should have pressed each expected character on the current layout
+  function calculateFingerStats() {
+    const totals = new Map();
 
-    // Hide the restart button when dashboard is shown
-    if (restartButton && restartButton.parentElement) {
-      restartButton.parentElement.style.display = 'none';
-    }
+    engine.keystrokes.forEach((entry, index) => {
+      if (entry.type !== 'insert') return;
+
+      const finger = KeyboardLayouts.getFinger(keyboardLayout, getKeyName(entry.expected));
+      if (!finger) return; // Character not on this layout
+
+      const fingerId = KeyboardLayouts.getFingerId(finger);
+      if (!totals.has(fingerId)) {
+        totals.set(fingerId, { keystrokes: 0, errors: 0, timedKeystrokes: 0, totalInterval: 0 });
+      }
+      const total = totals.get(fingerId);
+      total.keystrokes++;
+      if (entry.typed !== entry.expected) {
+        total.errors++;
+      }
+      // The first keystroke starts the clock, so it has no interval
+      if (index > 0) {
+        total.timedKeystrokes++;
+        total.totalInterval += entry.timestamp - engine.keystrokes[index - 1].timestamp;
+      }
+    });
+
+    const fingerStats = [];
+    KeyboardLayouts.listFingers().forEach(finger => {
+      const fingerId = KeyboardLayouts.getFingerId(finger);
+      const total = totals.get(fingerId);
+      if (!total) return;
+
+      fingerStats.push({
+        finger: fingerId,
+        label: KeyboardLayouts.getFingerLabel(finger),
+        keystrokes: total.keystrokes,
+        errors: total.errors,
+        accuracy: ((total.keystrokes - total.errors) / total.keystrokes) * 100,
+        averageInterval: total.timedKeystrokes > 0 ? total.totalInterval / total.timedKeystrokes : 0
+      });
+    });
+
+    return fingerStats;
+  }
+
+  // Build the versioned session result from the current run
+  function buildSessionResult(stats) {
+    return {
+      schemaVersion: RESULT_SCHEMA_VERSION,
+      learnerId: learnerId,
+      mode: getSessionMode(),
+      duration: isTimedMode() ? getTimedDuration() : null,
+      code: isCodeMode() && currentSnippet ? getCodeSessionInfo() : null,
+      errorPolicy: getErrorPolicy(),
+      equivalentCharacters: getEquivalenceRules(),
+      lessonId: currentLesson && retryText === null ? currentLesson.id : null,
+      textId: currentPassage && retryText === null && !textIsGenerated ? currentPassage.id : null,
+      startedAt: sessionStartedAt,
+      completedAt: new Date().toISOString(),
+      text: engine.text,
+      keyboardLayout: keyboardLayout.id,
+      stats: stats,
+      fingerStats: calculateFingerStats(),
+      charTimings: calculateCharTimings(),
+      keystrokes: engine.keystrokes.slice()
+    };
+  }
+
+  // Snippet and settings a code mode session was typed with
+  function getCodeSessionInfo() {
+    const options = getCodeOptions();
+    return {
+      snippetId: currentSnippet.id,
+      language: currentSnippet.language,
+      indentation: options.indentation,
+      tabWidth: options.tabWidth,
+      tabsEqualSpaces: options.tabsEqualSpaces
+    };
+  }
+
+  // Store the session result on the server; resolves with the stored result
+  // (including its server-assigned id) or null if it could not be saved
+  async function saveSessionResult(result) {
+    try {
+      const response = await fetch('/api/sessions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(result)
+      });
+
+      if (response.ok) {
+        const saved = await response.json();
+        console.log('Session result saved with id', saved.id);
+        return saved.session;
+      }
+
+      const errorText = await response.text();
+      console.error('Failed to save session result:', response.status, errorText);
+    } catch (error) {
+      console.error('Error saving session result:', error);
+    }
+    return null;
+  }
+
+  function formatDuration(seconds) {
+    if (seconds < 60) {
+      return seconds.toFixed(1) + 's';
+    }
+    const minutes = Math.floor(seconds / 60);
+    const remainder = (seconds % 60).toFixed(1);
+    return `${minutes}m ${remainder}s`;
+  }
+
+  // Display stats dashboard for a session result
+  function showStatsDashboard(result) {
+    // Hide typing container
+    const typingTextContainer = document.querySelector('.typing-text-container');
+    if (typingTextContainer) {
+      typingTextContainer.style.display = 'none';
+    }
+
+    // Hide the restart button when dashboard is shown
+    if (restartButton && restartButton.parentElement) {
+      restartButton.parentElement.style.display = 'none';
+    }
 
     // Hide keyboard when dashboard is shown
     if (keyboardContainer) {
@@ -1017,59 +2064,143 @@ Generated: ${new Date().toLocaleString()}
       completionScreen.style.display = 'none';
     }
 
-    try {
-      const response = await fetch('./stats.txt');
-      if (!response.ok) {
-        console.error('Failed to load stats file');
-        // Fall back to simple completion screen
-        // Keyboard is already hidden above
-        if (completionScreen) {
-          completionScreen.style.display = 'flex';
-        }
-        return;
-      }
+    const stats = result.stats;
 
-      const statsText = await response.text();
-      const stats = parseStatsText(statsText);
+    // Update dashboard with stats
+    const speedEl = document.getElementById('stat-speed');
+    const accuracyEl = document.getElementById('stat-accuracy');
+    const timeEl = document.getElementById('stat-time');
+    const errorsEl = document.getElementById('stat-errors');
+    const errorsLeftEl = document.getElementById('stat-errors-left');
 
-      // Update dashboard with stats
-      const speedEl = document.getElementById('stat-speed');
-      const accuracyEl = document.getElementById('stat-accuracy');
-      const timeEl = document.getElementById('stat-time');
-      const errorsEl = document.getElementById('stat-errors');
-      const errorsLeftEl = document.getElementById('stat-errors-left');
+    const grossSpeedEl = document.getElementById('stat-gross-speed');
+    const cpmEl = document.getElementById('stat-cpm');
+    const kspcEl = document.getElementById('stat-kspc');
+    const adjustedAccuracyEl = document.getElementById('stat-adjusted-accuracy');
 
-      if (speedEl) speedEl.textContent = stats.speed ? stats.speed.toFixed(1) : '0';
-      if (accuracyEl) accuracyEl.textContent = stats.accuracy ? stats.accuracy.toFixed(1) + '%' : '0%';
-      if (timeEl) {
-        const timeValue = stats.totalTime || 0;
-        if (timeValue < 60) {
-          timeEl.textContent = timeValue.toFixed(1) + 's';
-        } else {
-          const minutes = Math.floor(timeValue / 60);
-          const seconds = (timeValue % 60).toFixed(1);
-          timeEl.textContent = `${minutes}m ${seconds}s`;
-        }
-      }
-      if (errorsEl) errorsEl.textContent = stats.totalErrors || 0;
-      if (errorsLeftEl) errorsLeftEl.textContent = stats.errorsLeft || 0;
+    if (speedEl) speedEl.textContent = stats.netWpm.toFixed(1);
+    if (grossSpeedEl) grossSpeedEl.textContent = stats.grossWpm.toFixed(1);
+    if (cpmEl) cpmEl.textContent = Math.round(stats.cpm);
+    if (kspcEl) kspcEl.textContent = stats.kspc.toFixed(2);
+    if (accuracyEl) accuracyEl.textContent = stats.rawAccuracy.toFixed(1) + '%';
+    if (adjustedAccuracyEl) adjustedAccuracyEl.textContent = stats.adjustedAccuracy.toFixed(1) + '%';
+    if (timeEl) timeEl.textContent = formatDuration(stats.totalTime);
+    if (errorsEl) errorsEl.textContent = stats.totalErrors;
+    if (errorsLeftEl) errorsLeftEl.textContent = stats.errorsLeft;
 
-      // Show dashboard
-      if (statsDashboard) {
-        statsDashboard.style.display = 'flex';
-      }
+    renderKeyHeatmap(result);
+    renderFingerStats(result.fingerStats || []);
 
-      if (hiddenInput) {
-        hiddenInput.blur();
-      }
-    } catch (error) {
-      console.error('Error loading stats:', error);
-      // Fall back to simple completion screen
-      // Keyboard is already hidden above
-      if (completionScreen) {
-        completionScreen.style.display = 'flex';
+    // Show dashboard
+    if (statsDashboard) {
+      statsDashboard.style.display = 'flex';
+    }
+
+    if (hiddenInput) {
+      hiddenInput.blur();
+    }
+  }
+
+  // Presses, errors and latency per key for a session, keyed by key name on the layout
+  function calculateKeyHeat(keystrokes, layout) {
+    const sessionStats = KeyStats.fromKeystrokes(keystrokes);
+    const heat = new Map();
+
+    Object.keys(sessionStats.keys).forEach(char => {
+      const keyName = getKeyName(char, layout);
+      const entry = sessionStats.keys[char];
+      if (!heat.has(keyName)) {
+        heat.set(keyName, { attempts: 0, errors: 0, timedAttempts: 0, totalLatency: 0 });
       }
+      const total = heat.get(keyName);
+      total.attempts += entry.attempts;
+      total.errors += entry.errors;
+      total.timedAttempts += entry.timedAttempts;
+      total.totalLatency += entry.totalLatency;
+    });
+
+    return heat;
+  }
+
+  // Re-render the keyboard on the stats dashboard, shaded by error rate or
+  // average latency relative to the worst key of the session
+  function renderKeyHeatmap(result) {
+    const section = document.getElementById('key-heatmap');
+    const container = document.getElementById('key-heatmap-keyboard');
+    if (!section || !container) return;
+
+    heatmapResult = result;
+    const keystrokes = result.keystrokes || [];
+    if (keystrokes.length === 0) {
+      section.style.display = 'none';
+      return;
     }
+    section.style.display = '';
+
+    const layout = KeyboardLayouts.get(result.keyboardLayout || keyboardLayout.id);
+    const heat = calculateKeyHeat(keystrokes, layout);
+    const heatmapElements = new Map();
+    const keyboard = buildKeyboard(layout, heatmapElements);
+    keyboard.classList.add('heatmap', `heatmap-${heatmapMetric}`);
+
+    const valueOf = entry => heatmapMetric === 'errors'
+      ? entry.errors / entry.attempts
+      : (entry.timedAttempts > 0 ? entry.totalLatency / entry.timedAttempts : 0);
+    let maxValue = 0;
+    heat.forEach(entry => {
+      maxValue = Math.max(maxValue, valueOf(entry));
+    });
+
+    heat.forEach((entry, keyName) => {
+      const keyElement = heatmapElements.get(keyName);
+      if (!keyElement) return;
+
+      const intensity = maxValue > 0 ? valueOf(entry) / maxValue : 0;
+      const averageLatency = entry.timedAttempts > 0 ? Math.round(entry.totalLatency / entry.timedAttempts) : null;
+      keyElement.classList.add('heat');
+      keyElement.style.setProperty('--heat', Math.round(intensity * 80) + '%');
+      keyElement.title = `${keyElement.textContent}: ${entry.attempts} ${entry.attempts === 1 ? 'press' : 'presses'}, ` +
+        `${entry.errors} ${entry.errors === 1 ? 'error' : 'errors'} (${((entry.errors / entry.attempts) * 100).toFixed(1)}%)` +
+        (averageLatency !== null ? `, avg ${averageLatency} ms` : '');
+    });
+
+    container.innerHTML = '';
+    container.appendChild(keyboard);
+
+    document.querySelectorAll('.heatmap-toggle [data-metric]').forEach(button => {
+      button.classList.toggle('active', button.getAttribute('data-metric') === heatmapMetric);
+    });
+  }
+
+  // Fill the per-finger table on the stats dashboard
+  function renderFingerStats(fingerStats) {
+    const section = document.getElementById('finger-stats');
+    const body = document.getElementById('finger-stats-body');
+    if (!section || !body) return;
+
+    body.innerHTML = '';
+    if (fingerStats.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    fingerStats.forEach(stat => {
+      const row = document.createElement('tr');
+      row.setAttribute('data-finger', stat.finger);
+      [
+        stat.label,
+        stat.keystrokes,
+        stat.errors,
+        stat.accuracy.toFixed(1) + '%',
+        Math.round(stat.averageInterval) + ' ms'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
   }
 
   function showCompletionScreen() {
@@ -1085,6 +2216,11 @@ Generated: ${new Date().toLocaleString()}
       return;
     }
 
+    const completionTitle = completionScreen.querySelector('h2');
+    if (completionTitle) {
+      completionTitle.textContent = isTimedMode() || (isRaceMode() && !isPassageComplete()) ? "Time's up!" : 'Completed';
+    }
+
     const typingTextContainer = document.querySelector('.typing-text-container');
     if (typingTextContainer) {
       typingTextContainer.style.display = 'none';
@@ -1127,26 +2263,43 @@ Generated: ${new Date().toLocaleString()}
     console.log('Statistics result:', stats);
 
     if (stats) {
-      console.log('Calling saveStatistics...');
-      saveStatistics(stats).then(() => {
-        // After saving, check if we should show stats dashboard
-        if (config.showStats === true) {
-          // Wait a bit for the file to be written, then show dashboard
-          setTimeout(() => {
-            showStatsDashboard();
-          }, 200);
-        } else {
-          // Show simple completion screen
-          // Ensure real-time stats are hidden
-          if (realtimeStatsContainer) {
-            realtimeStatsContainer.style.display = 'none';
-          }
-          completionScreen.style.display = 'flex';
-          if (hiddenInput) {
-            hiddenInput.blur();
+      const lessonOutcome = currentLesson && retryText === null ? completeLesson(stats) : null;
+      renderLessonOutcome(lessonOutcome);
+      recordKeyStats();
+      if (isRaceMode() && raceStarted && !raceFinished) {
+        finishRace();
+      }
+      publishResult(stats);
+
+      lastResult = buildSessionResult(stats);
+      emit('complete', { result: lastResult, stats: stats });
+      EmbedApi.post('completed', { result: lastResult });
+      saveSessionResult(lastResult).then(saved => {
+        if (saved) {
+          lastResult = saved;
+          // stats.txt is only written when the legacy export is enabled
+          if (config.legacyStatsExport === true) {
+            console.log('Calling saveStatistics...');
+            saveStatistics(saved.id);
           }
         }
       });
+
+      // The dashboard renders straight from the in-memory result
+      if (config.showStats === true) {
+        showStatsDashboard(lastResult);
+      } else {
+        // Show simple completion screen
+        // Ensure real-time stats are hidden
+        if (realtimeStatsContainer) {
+          realtimeStatsContainer.style.display = 'none';
+        }
+        completionScreen.style.display = 'flex';
+        if (hiddenInput) {
+          hiddenInput.blur();
+        }
+      }
+      advanceLesson(lessonOutcome);
     } else {
       console.log('No statistics to save (stats is null)');
       // Show simple completion screen
@@ -1161,6 +2314,706 @@ Generated: ${new Date().toLocaleString()}
     }
   }
 
+  // Show the screen a finished session ends on (stats dashboard or completion screen)
+  function showResultsScreen() {
+    if (config.showStats === true && lastResult) {
+      showStatsDashboard(lastResult);
+      return;
+    }
+
+    const typingTextContainer = document.querySelector('.typing-text-container');
+    if (typingTextContainer) {
+      typingTextContainer.style.display = 'none';
+    }
+    const keyboardStatsWrapper = document.querySelector('.keyboard-stats-wrapper');
+    if (keyboardStatsWrapper) {
+      keyboardStatsWrapper.style.display = 'none';
+    }
+    if (keyboardContainer) {
+      keyboardContainer.classList.remove('visible');
+    }
+    if (completionScreen) {
+      completionScreen.style.display = 'flex';
+    }
+  }
+
+  function getHesitationThreshold() {
+    return isNonNegativeNumber(config.hesitationThreshold) ? config.hesitationThreshold : DEFAULT_HESITATION_THRESHOLD;
+  }
+
+  function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+
+  // Per-character review of the finished run: the final state from the engine's charStates,
+  // every mistyped attempt and the pause before the first attempt
+  function buildReview() {
+    const threshold = getHesitationThreshold();
+    const reviewedLength = Math.min(engine.typedChars.length, engine.textChars.length);
+    const chars = [];
+
+    for (let i = 0; i < reviewedLength; i++) {
+      chars.push({ expected: engine.textChars[i], state: engine.charStates[i], wrongAttempts: [], pause: null });
+    }
+
+    engine.keystrokes.forEach((entry, index) => {
+      if (entry.type !== 'insert' || entry.index >= reviewedLength) return;
+
+      const char = chars[entry.index];
+      if (entry.typed !== entry.expected) {
+        char.wrongAttempts.push(entry.typed);
+      }
+      if (char.pause === null && index > 0) {
+        char.pause = entry.timestamp - engine.keystrokes[index - 1].timestamp;
+      }
+    });
+
+    chars.forEach(char => {
+      char.corrected = char.wrongAttempts.length > 0 && char.state === 'correct';
+      char.hesitated = char.pause !== null && char.pause >= threshold;
+      char.isProblem = char.wrongAttempts.length > 0 || char.hesitated;
+    });
+
+    return chars;
+  }
+
+  // Human-readable name for a character in review tooltips
+  function describeChar(char) {
+    if (char === ' ') return 'space';
+    if (char === '\n') return 'Enter';
+    if (char === '\t') return 'Tab';
+    return `"${char}"`;
+  }
+
+  // Passage markup with each mistake and hesitation annotated
+  function buildReviewHtml(review) {
+    return review.map(char => {
+      const classes = ['review-char'];
+      const notes = [];
+
+      if (char.state === 'incorrect') {
+        classes.push('review-error');
+      } else if (char.corrected) {
+        classes.push('review-corrected');
+      } else {
+        classes.push('char-correct');
+      }
+
+      if (char.wrongAttempts.length > 0) {
+        notes.push(`Expected ${describeChar(char.expected)}, typed ${char.wrongAttempts.map(describeChar).join(', ')}` +
+          (char.corrected ? ' (corrected)' : ' (not corrected)'));
+      }
+      if (char.hesitated) {
+        classes.push('review-hesitation');
+        notes.push(`Paused ${(char.pause / 1000).toFixed(1)}s before this character`);
+      }
+
+      let displayChar;
+      if (char.expected === ' ') {
+        displayChar = '\u00A0';
+      } else if (char.expected === '\n') {
+        displayChar = '<br>';
+      } else {
+        displayChar = escapeHtml(char.expected);
+      }
+
+      const title = notes.length > 0 ? ` title="${escapeHtml(notes.join('. ')).replace(/"/g, '&quot;')}"` : '';
+      return `<span class="${classes.join(' ')}"${title}>${displayChar}</span>`;
+    }).join('');
+  }
+
+  // Distinct words of the passage that contain a mistake or a hesitation
+  function getProblemWords(review) {
+    const words = [];
+    const isSpace = char => /^\s+$/.test(char);
+    let start = 0;
+
+    while (start < review.length) {
+      if (isSpace(engine.textChars[start])) {
+        start++;
+        continue;
+      }
+      let end = start;
+      while (end < engine.textChars.length && !isSpace(engine.textChars[end])) {
+        end++;
+      }
+      const word = engine.textChars.slice(start, end).join('');
+
+      let isProblem = false;
+      for (let i = start; i < Math.min(end, review.length); i++) {
+        isProblem = isProblem || review[i].isProblem;
+      }
+      // A hesitation on the space before a word belongs to that word
+      if (start > 0 && review[start - 1].hesitated) {
+        isProblem = true;
+      }
+      if (isProblem && !words.includes(word)) {
+        words.push(word);
+      }
+      start = end;
+    }
+
+    return words;
+  }
+
+  // Show the finished passage with every mistake annotated
+  function showReview() {
+    if (!reviewPanel || engine.keystrokes.length === 0) return;
+
+    const review = buildReview();
+    const problemWords = getProblemWords(review);
+
+    const reviewText = document.getElementById('review-text');
+    if (reviewText) {
+      reviewText.innerHTML = buildReviewHtml(review);
+    }
+
+    const summary = document.getElementById('review-summary');
+    if (summary) {
+      const uncorrected = review.filter(char => char.state === 'incorrect').length;
+      const corrected = review.filter(char => char.corrected).length;
+      const hesitations = review.filter(char => char.hesitated).length;
+      summary.textContent = problemWords.length > 0
+        ? `${uncorrected} uncorrected, ${corrected} corrected, ${hesitations} ${hesitations === 1 ? 'hesitation' : 'hesitations'}. ` +
+          `Problem words: ${problemWords.join(' ')}`
+        : 'No mistakes or hesitations. Nice work!';
+    }
+
+    const retryButton = document.getElementById('btn-retry-words');
+    if (retryButton) {
+      retryButton.disabled = problemWords.length === 0;
+      retryButton.onclick = () => startRetrySession(problemWords);
+    }
+
+    if (completionScreen) {
+      completionScreen.style.display = 'none';
+    }
+    if (statsDashboard) {
+      statsDashboard.style.display = 'none';
+    }
+    reviewPanel.style.display = 'flex';
+  }
+
+  // Join, start and leave races from the race panel
+  function initializeRace() {
+    racePanel = document.getElementById('race-panel');
+    if (!racePanel || typeof RaceClient === 'undefined') return;
+
+    const roomInput = document.getElementById('race-room');
+    const nameInput = document.getElementById('race-name');
+    nameInput.value = RaceClient.loadName();
+    RaceClient.on(handleRaceMessage);
+
+    document.getElementById('btn-race-join').addEventListener('click', () => {
+      const room = roomInput.value.trim();
+      if (!MessageProtocol.ROOM_PATTERN.test(room)) {
+        setStatus('Room names may use letters, digits, - and _ (up to 40)');
+        return;
+      }
+      RaceClient.saveName(nameInput.value.trim());
+      if (!RaceClient.join(room, nameInput.value.trim().slice(0, MessageProtocol.MAX_NAME_LENGTH))) {
+        setStatus('Races need the server (WebSocket unavailable)');
+      }
+    });
+    document.getElementById('btn-race-start').addEventListener('click', () => {
+      RaceClient.start();
+    });
+    document.getElementById('btn-race-leave').addEventListener('click', () => {
+      RaceClient.leave();
+      resetRace();
+      loadText().then(restart);
+    });
+
+    renderRacePanel();
+  }
+
+  // Messages from the race room (see race-client.js)
+  function handleRaceMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        resetRace();
+        raceRoom = message.room;
+        racePlayerId = LiveConnection.clientId;
+        loadText().then(restart).then(() => setStatus(`Joined race room ${message.room}`));
+        break;
+      case 'race-state':
+        raceState = message.state;
+        racePlayers = message.players;
+        break;
+      case 'race-start':
+        startRaceCountdown(message);
+        break;
+      case 'race-results':
+        raceResults = message.results;
+        endRace();
+        break;
+      case 'close':
+        if (raceRoom !== null) {
+          resetRace();
+          setStatus('Disconnected from the race server');
+        }
+        break;
+    }
+    renderRacePanel();
+  }
+
+  // Load the race passage and count down to the start
+  async function startRaceCountdown(message) {
+    stopRaceCountdown();
+    racePassage = { textId: message.textId, title: message.title, text: message.text };
+    raceLength = TextSegmenter.split(message.text).length;
+    raceResults = null;
+    raceStarted = false;
+    raceFinished = false;
+    raceStartsAt = Date.now() + message.countdownMs;
+
+    await loadText();
+    restart();
+    raceCountdownInterval = setInterval(updateRaceCountdown, 100);
+    updateRaceCountdown();
+    renderRacePanel();
+  }
+
+  function updateRaceCountdown() {
+    if (Date.now() < raceStartsAt) {
+      updateCountdown();
+      return;
+    }
+
+    stopRaceCountdown();
+    updateCountdown();
+    raceStarted = true;
+    if (hiddenInput && isInputAllowed()) {
+      hiddenInput.disabled = false;
+      hiddenInput.focus();
+    }
+    setStatus('Go!');
+  }
+
+  function stopRaceCountdown() {
+    if (raceCountdownInterval) {
+      clearInterval(raceCountdownInterval);
+      raceCountdownInterval = null;
+    }
+  }
+
+  // This player has typed the whole passage; the result that follows places them
+  function finishRace() {
+    raceFinished = true;
+    RaceClient.flushProgress();
+  }
+
+  // The leaderboard is in: anyone still typing has run out of time
+  function endRace() {
+    stopRaceCountdown();
+    updateCountdown();
+    if (raceStarted && !raceFinished) {
+      raceFinished = true;
+      if (hiddenInput) {
+        hiddenInput.disabled = true;
+      }
+      showCompletionScreen();
+    }
+  }
+
+  // Forget the room and the race (after leaving or losing the connection)
+  function resetRace() {
+    stopRaceCountdown();
+    raceRoom = null;
+    racePlayerId = null;
+    raceState = null;
+    racePlayers = [];
+    raceResults = null;
+    racePassage = null;
+    raceLength = 0;
+    raceStarted = false;
+    raceFinished = false;
+  }
+
+  // Room controls, what the room is doing, and a progress bar per player
+  function renderRacePanel() {
+    if (!racePanel) return;
+
+    racePanel.style.display = isRaceMode() ? 'block' : 'none';
+    if (!isRaceMode()) return;
+
+    const racing = raceState === 'countdown' || raceState === 'racing';
+    document.getElementById('btn-race-start').disabled = raceRoom === null || racing;
+    document.getElementById('btn-race-leave').style.display = raceRoom === null ? 'none' : '';
+
+    let summary;
+    if (raceRoom === null) {
+      summary = 'Join a room; everyone in the same room races the same passage.';
+    } else if (raceState === 'countdown') {
+      summary = 'Get ready...';
+    } else if (raceState === 'racing') {
+      summary = 'Race under way';
+    } else if (raceState === 'finished') {
+      summary = 'Race over. Start another when everyone is ready.';
+    } else {
+      const count = racePlayers.length;
+      summary = `Room ${raceRoom}: ${count} ${count === 1 ? 'player' : 'players'}. Start the race when everyone is in.`;
+    }
+    document.getElementById('race-summary').textContent = summary;
+
+    const players = raceResults || racePlayers;
+    document.getElementById('race-players').innerHTML = players.map(player => {
+      const progress = raceLength > 0 ? Math.min(100, player.position / raceLength * 100) : 0;
+      const place = player.place !== null ? `${player.place}. ` : '';
+      return `<li class="race-player${player.id === racePlayerId ? ' race-player-self' : ''}">
+        <span class="race-player-name">${place}${escapeHtml(player.name)}</span>
+        <span class="race-track"><span class="race-bar" style="width: ${progress.toFixed(1)}%"></span></span>
+        <span class="race-player-wpm">${Math.round(player.wpm)} WPM</span>
+      </li>`;
+    }).join('');
+  }
+
+  // Start a short session made of the given words
+  function startRetrySession(words) {
+    retryText = words.join(' ');
+    retryReason = 'review';
+    restart();
+  }
+
+  // What the instructor page shows for this learner
+  function buildLiveProgress() {
+    const stats = startTime === null ? null : calculateRealtimeStats();
+    let state = 'waiting';
+    if (lastResult !== null) {
+      state = 'finished';
+    } else if (startTime !== null) {
+      state = 'typing';
+    }
+
+    // Seconds since the last keystroke (or the first one, which starts the clock)
+    const lastKeystroke = engine.keystrokes[engine.keystrokes.length - 1];
+    const lastKeystrokeAt = startTime + (lastKeystroke ? lastKeystroke.timestamp : 0);
+
+    return {
+      mode: getSessionMode(),
+      title: getPracticeTitle(),
+      state: state,
+      position: engine.typedChars.length,
+      length: engine.textChars.length,
+      wpm: stats ? stats.speed : null,
+      accuracy: stats ? stats.accuracy : null,
+      idleSeconds: state === 'typing' ? Math.round((Date.now() - lastKeystrokeAt) / 1000) : null
+    };
+  }
+
+  // Name of the lesson, passage or snippet being typed, if it has one
+  function getPracticeTitle() {
+    if (retryText !== null) {
+      if (retryReason === 'instructor') return retryTitle || 'Passage from instructor';
+      if (retryReason === 'custom') return retryTitle;
+      return 'Problem words';
+    }
+    if (currentLesson) return currentLesson.title;
+    if (isRaceMode()) return racePassage ? racePassage.title : null;
+    if (isCodeMode()) return currentSnippet ? currentSnippet.title || currentSnippet.id : null;
+    return currentPassage ? currentPassage.title : null;
+  }
+
+  function publishLiveProgress() {
+    LiveConnection.send('progress', buildLiveProgress());
+  }
+
+  // Every finished session is reported; during a race it also places this player
+  function publishResult(stats) {
+    LiveConnection.send('result', {
+      mode: getSessionMode(),
+      position: engine.typedChars.length,
+      wpm: stats.netWpm,
+      accuracy: stats.accuracy
+    });
+  }
+
+  // Whether the learner may type: not while locked remotely or paused by an embedding page, nor outside a race's running time
+  function isInputAllowed() {
+    return !inputLocked && !(isRaceMode() && (!raceStarted || raceFinished));
+  }
+
+  // Commands pushed from the instructor page or the server's control API
+  function handleRemoteCommand(command) {
+    switch (command.command) {
+      case 'restart':
+        restart();
+        setStatus('Restarted by your instructor');
+        break;
+      case 'set-text':
+        setPassage(command.text, command.title, 'instructor');
+        restart();
+        setStatus('Your instructor sent a new passage');
+        break;
+      case 'set-config':
+        applyConfigChanges(command.config, 'set-config').then(() => setStatus('Settings updated by your instructor'));
+        break;
+      case 'lock':
+        pauseSession();
+        setStatus(command.message || 'Typing is paused by your instructor');
+        break;
+      case 'unlock':
+        resumeSession();
+        setStatus('Typing is unlocked');
+        break;
+    }
+  }
+
+  // Type the given passage instead of the practice text (leaving any race)
+  function setPassage(text, title, reason) {
+    if (raceRoom !== null) {
+      RaceClient.leave();
+      resetRace();
+    }
+    retryText = text.trim();
+    retryReason = reason;
+    retryTitle = title || null;
+  }
+
+  // The time the session clock reads: frozen while paused
+  function getSessionNow() {
+    return pausedAt !== null ? pausedAt : Date.now();
+  }
+
+  // Lock typing and stop the clock, so the pause does not count towards speed or a timed test
+  function pauseSession() {
+    inputLocked = true;
+    if (hiddenInput) {
+      hiddenInput.disabled = true;
+      hiddenInput.blur();
+    }
+    if (startTime !== null && lastResult === null && pausedAt === null) {
+      pausedAt = Date.now();
+      if (timedTestTimeout) {
+        stopCountdown();
+      }
+    }
+  }
+
+  function resumeSession() {
+    inputLocked = false;
+    if (pausedAt !== null) {
+      startTime += Date.now() - pausedAt;
+      pausedAt = null;
+      if (isTimedMode() && startTime !== null) {
+        startCountdown();
+      }
+    }
+    // A finished session stays locked until it is restarted
+    if (hiddenInput && lastResult === null && isInputAllowed()) {
+      hiddenInput.disabled = false;
+      hiddenInput.focus();
+    }
+  }
+
+  // Settings merged over the current config (from a set-config command or an
+  // embedding page). The keyboard, allowed keys and text are reloaded so they
+  // take effect straight away; resolves to the settings that were rejected
+  async function applyConfigChanges(changes, source) {
+    const merged = ConfigSchema.merge(config, changes, source);
+    config = merged.config;
+    showConfigErrors(merged.errors);
+    if (!ConfigSchema.isObject(changes)) {
+      return merged.errors;
+    }
+    setAvailableKeys(currentLesson ? currentLesson.keys : config.availableKeys);
+    warnedEquivalenceRules = false;
+    initializeKeyboard();
+    if (changes.mode !== undefined) {
+      await setMode(config.mode);
+    } else {
+      await loadText();
+      restart();
+    }
+    return merged.errors;
+  }
+
+  // Commands from the page embedding the simulator; ready is posted once the
+  // first text has loaded
+  function initializeEmbedApi() {
+    if (!EmbedApi.isEmbedded()) return;
+
+    EmbedApi.on('start', async message => {
+      let errors = [];
+      if (typeof message.text === 'string' && message.text.trim()) {
+        setPassage(message.text, typeof message.title === 'string' ? message.title : null, 'custom');
+      }
+      if (message.config !== undefined) {
+        errors = await applyConfigChanges(message.config, 'start');
+      } else {
+        await loadText();
+        restart();
+      }
+      if (errors.length > 0) {
+        EmbedApi.post('error', { command: 'start', errors: errors });
+      }
+      if (hiddenInput && !hiddenInput.disabled) {
+        hiddenInput.focus();
+      }
+    });
+    EmbedApi.on('restart', () => restart());
+    EmbedApi.on('pause', () => {
+      pauseSession();
+      setStatus('Paused');
+    });
+    EmbedApi.on('resume', () => {
+      resumeSession();
+      setStatus('Ready');
+    });
+
+    EmbedApi.listen();
+    EmbedApi.post('ready', { version: EmbedApi.VERSION });
+  }
+
+  // Identify as a learner on the server connection and follow what it sends
+  function initializeLiveConnection() {
+    if (typeof LiveConnection === 'undefined') return;
+
+    LiveConnection.on('message', message => setStatus(message.message));
+    LiveConnection.on('command', handleRemoteCommand);
+    LiveConnection.on('error', message => setStatus(message.error));
+    LiveConnection.on('welcome', publishLiveProgress);
+    LiveConnection.identify({
+      role: 'learner',
+      learnerId: MessageProtocol.LEARNER_ID_PATTERN.test(learnerId) ? learnerId : 'anonymous'
+    });
+    setInterval(publishLiveProgress, LIVE_PROGRESS_INTERVAL_MS);
+  }
+
+  // Start over; a retry session returns to the learner's regular practice text
+  function startOver() {
+    if (isRaceMode() && raceFinished) {
+      racePassage = null;
+      raceStarted = false;
+      raceFinished = false;
+      loadText().then(restart);
+      return;
+    }
+    if (retryText !== null && retryReason !== 'custom') {
+      retryText = null;
+      loadText().then(restart);
+      return;
+    }
+    restart();
+  }
+
+  // Re-animate the recorded session in the typing text container
+  function startReplay() {
+    if (engine.keystrokes.length === 0) {
+      return;
+    }
+
+    stopReplay();
+
+    // Hide the results and show the passage
+    if (completionScreen) {
+      completionScreen.style.display = 'none';
+    }
+    if (statsDashboard) {
+      statsDashboard.style.display = 'none';
+    }
+    if (reviewPanel) {
+      reviewPanel.style.display = 'none';
+    }
+    const typingTextContainer = document.querySelector('.typing-text-container');
+    if (typingTextContainer) {
+      typingTextContainer.style.display = 'block';
+    }
+
+    // Show the keyboard (without real-time stats) so replayed keys light up
+    if (realtimeStatsInterval) {
+      clearInterval(realtimeStatsInterval);
+      realtimeStatsInterval = null;
+    }
+    const keyboardStatsWrapper = document.querySelector('.keyboard-stats-wrapper');
+    if (keyboardStatsWrapper) {
+      keyboardStatsWrapper.style.display = 'block';
+    }
+    if (realtimeStatsContainer) {
+      realtimeStatsContainer.style.display = 'none';
+    }
+    if (keyboardContainer && keyboardEnabled) {
+      keyboardContainer.classList.add('visible');
+    }
+
+    if (replayControls) {
+      replayControls.style.display = 'flex';
+    }
+
+    // Typing is locked while the replay runs
+    if (hiddenInput) {
+      hiddenInput.blur();
+      hiddenInput.disabled = true;
+    }
+
+    replayPosition = 0;
+    replayTypedChars.length = 0;
+    replayCharStates.length = 0;
+    engine.textChars.forEach(() => replayCharStates.push('pending'));
+
+    textContainer.innerHTML = buildTextHtml(replayTypedChars, replayCharStates);
+    setStatus('Replaying...');
+    scheduleReplayStep(0);
+  }
+
+  function getReplaySpeed() {
+    const speed = replaySpeedSelect ? parseFloat(replaySpeedSelect.value) : 1;
+    return speed > 0 ? speed : 1;
+  }
+
+  // Wait for the recorded gap between keystrokes, scaled by the replay speed
+  function scheduleReplayStep(delay) {
+    replayTimeout = setTimeout(stepReplay, delay / getReplaySpeed());
+  }
+
+  function stepReplay() {
+    const entry = engine.keystrokes[replayPosition];
+
+    if (entry.type === 'insert') {
+      // Indentation filled in by code mode has no keystrokes of its own
+      for (let i = replayTypedChars.length; i < entry.index; i++) {
+        replayTypedChars.push(engine.textChars[i]);
+        replayCharStates[i] = 'correct';
+      }
+      replayTypedChars.length = entry.index;
+      replayTypedChars.push(entry.typed);
+      replayCharStates[entry.index] = entry.typed === entry.expected ? 'correct' : 'incorrect';
+      if (keyboardEnabled) {
+        highlightKey(entry.typed, entry.typed !== entry.expected);
+      }
+    } else {
+      replayTypedChars.length = entry.index;
+      replayCharStates[entry.index] = 'pending';
+      if (keyboardEnabled) {
+        highlightKey('backspace', false);
+      }
+    }
+
+    textContainer.innerHTML = buildTextHtml(replayTypedChars, replayCharStates);
+    replayPosition++;
+
+    if (replayPosition < engine.keystrokes.length) {
+      scheduleReplayStep(engine.keystrokes[replayPosition].timestamp - entry.timestamp);
+    } else {
+      // Leave the finished passage on screen briefly before returning to the results
+      replayTimeout = setTimeout(() => {
+        stopReplay();
+        showResultsScreen();
+      }, 1000);
+    }
+  }
+
+  function stopReplay() {
+    if (replayTimeout) {
+      clearTimeout(replayTimeout);
+      replayTimeout = null;
+    }
+    if (replayControls) {
+      replayControls.style.display = 'none';
+    }
+    setStatus('Ready');
+  }
+
   async function initialize() {
     // Load config first
     await loadConfig();
@@ -1172,7 +3025,14 @@ Generated: ${new Date().toLocaleString()}
     restartButton = document.getElementById('btn-restart');
     startOverButton = document.getElementById('btn-start-over');
     statsStartOverButton = document.getElementById('btn-stats-start-over');
+    replayButton = document.getElementById('btn-replay');
+    statsReplayButton = document.getElementById('btn-stats-replay');
+    replayControls = document.getElementById('replay-controls');
+    replaySpeedSelect = document.getElementById('replay-speed');
+    replayStopButton = document.getElementById('btn-replay-stop');
+    reviewPanel = document.getElementById('review-panel');
     realtimeStatsContainer = document.getElementById('realtime-stats-container');
+    countdownElement = document.getElementById('countdown');
 
     if (!textContainer || !hiddenInput) {
       console.error('Required elements not found');
@@ -1181,21 +3041,75 @@ Generated: ${new Date().toLocaleString()}
 
     // Initialize keyboard
     initializeKeyboard();
+    initializeLayoutPicker();
+
+    // Progress view charts this learner's session history
+    learnerId = getLearnerId();
+    if (typeof ProgressView !== 'undefined') {
+      ProgressView.init({
+        triggerSelector: '#btn-progress, #btn-stats-progress',
+        learnerId: learnerId
+      });
+    }
 
     // Set up event listeners
     hiddenInput.addEventListener('input', handleInput);
     hiddenInput.addEventListener('keydown', handleKeyDown);
+    // Input methods (IME) insert composed text in one go once it is committed
+    hiddenInput.addEventListener('compositionstart', () => {
+      isComposing = true;
+    });
+    hiddenInput.addEventListener('compositionend', (e) => {
+      isComposing = false;
+      handleInput(e);
+    });
 
     if (restartButton) {
-      restartButton.addEventListener('click', restart);
+      restartButton.addEventListener('click', startOver);
     }
 
     if (startOverButton) {
-      startOverButton.addEventListener('click', restart);
+      startOverButton.addEventListener('click', startOver);
     }
 
     if (statsStartOverButton) {
-      statsStartOverButton.addEventListener('click', restart);
+      statsStartOverButton.addEventListener('click', startOver);
+    }
+
+    document.querySelectorAll('#btn-review, #btn-stats-review').forEach(button => {
+      button.addEventListener('click', showReview);
+    });
+
+    const reviewBackButton = document.getElementById('btn-review-back');
+    if (reviewBackButton) {
+      reviewBackButton.addEventListener('click', () => {
+        reviewPanel.style.display = 'none';
+        showResultsScreen();
+      });
+    }
+
+    if (replayButton) {
+      replayButton.addEventListener('click', startReplay);
+    }
+
+    if (statsReplayButton) {
+      statsReplayButton.addEventListener('click', startReplay);
+    }
+
+    document.querySelectorAll('.heatmap-toggle [data-metric]').forEach(button => {
+      button.addEventListener('click', () => {
+        heatmapMetric = button.getAttribute('data-metric');
+        if (heatmapResult) {
+          renderKeyHeatmap(heatmapResult);
+        }
+      });
+    });
+
+    if (replayStopButton) {
+      replayStopButton.addEventListener('click', () => {
+        stopReplay();
+        showResultsScreen();
+      });
     }
 
     // Focus the input when clicking on the text container
@@ -1210,8 +3124,24 @@ Generated: ${new Date().toLocaleString()}
       });
     }
 
+    // Lessons decide the passage and allowed keys, so load them before the text
+    await initializeLessons();
+    initializeModePicker();
+    refreshWeakKeys();
+    await initializeTextLibrary();
+    initializeRace();
+
+    initializeLiveConnection();
+
+    // A passage given in the URL (?text=...&title=...) replaces the practice text
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('text')) {
+      setPassage(params.get('text'), params.get('title'), 'custom');
+    }
+
     // Load the text
-    loadText();
+    loadText().then(initializeEmbedApi);
+    updateCountdown();
 
     // Initialize real-time stats display
     updateRealtimeStats();
@@ -1226,10 +3156,68 @@ Generated: ${new Date().toLocaleString()}
     }, 100);
   }
 
+  // The public API (see the top of this file)
+  const simulator = {
+    on(type, listener) {
+      if (!eventListeners[type]) {
+        eventListeners[type] = [];
+      }
+      eventListeners[type].push(listener);
+    },
+
+    off(type, listener) {
+      if (eventListeners[type]) {
+        eventListeners[type] = eventListeners[type].filter(other => other !== listener);
+      }
+    },
+
+    loadText(text, title) {
+      if (typeof text === 'string' && text.trim()) {
+        setPassage(text, title, 'custom');
+      } else {
+        retryText = null;
+      }
+      return loadText().then(restart);
+    },
+
+    setConfig(changes) {
+      return applyConfigChanges(changes, 'setConfig');
+    },
+
+    restart() {
+      restart();
+    },
+
+    getStats() {
+      return calculateRealtimeStats();
+    }
+  };
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initialize);
   } else {
     initialize();
   }
-})();
+
+  return simulator;
+}
+
+const TypingSimulator = {
+  instance: null,
+
+  create() {
+    if (this.instance !== null) {
+      throw new Error('TypingSimulator.create() was already called: the page has one simulator');
+    }
+    this.instance = createTypingSimulator();
+    return this.instance;
+  }
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TypingSimulator;
+} else {
+  window.TypingSimulator = TypingSimulator;
+}
@@ -1,77 +1,120 @@
 #!/usr/bin/env python3
 """
-Extract and print typing statistics from stats.txt file.
+Extract and print typing statistics from the latest stored session result.
+
+Session results are appended by POST /api/sessions to the JSON-lines
+history in data/sessions.jsonl. If it is empty or missing, the legacy
+client/stats.txt export is used.
 """
 
-import os
+import json
 import re
 from pathlib import Path
 
 
-def extract_stats():
-    """Read stats.txt and print all statistics to console."""
-    # Get the project root directory (where this script is located)
-    script_dir = Path(__file__).parent
-    stats_file = script_dir / 'client' / 'stats.txt'
+def load_latest_session(sessions_file):
+    """Return the stats of the most recently appended session, or None."""
+    if not sessions_file.exists():
+        return None
 
-    # Check if stats file exists
+    latest = None
+    try:
+        with open(sessions_file, 'r', encoding='utf-8') as f:
+            for line in f:
+                if not line.strip():
+                    continue
+                try:
+                    latest = json.loads(line)
+                except ValueError:
+                    # Skip lines cut short by an interrupted write
+                    continue
+    except OSError as e:
+        print(f"Error reading sessions.jsonl: {e}")
+        return None
+
+    if latest is None:
+        return None
+
+    result = latest.get('stats', {})
+
+    return {
+        'total_errors': result.get('totalErrors'),
+        'errors_left': result.get('errorsLeft'),
+        'total_time': result.get('totalTime'),
+        'accuracy': result.get('accuracy'),
+        'speed': result.get('speed'),
+        'generated': latest.get('createdAt'),
+    }
+
+
+def load_legacy_stats(stats_file):
+    """Parse the legacy stats.txt export, or return None if it is missing."""
     if not stats_file.exists():
-        print(f"Error: stats.txt not found at {stats_file}")
-        return
+        return None
 
-    # Read the stats file
     try:
         with open(stats_file, 'r', encoding='utf-8') as f:
             content = f.read()
     except Exception as e:
         print(f"Error reading stats.txt: {e}")
-        return
+        return None
 
-    # Parse and extract statistics
     stats = {}
 
-    # Extract Total Errors Made
     match = re.search(r'Total Errors Made:\s*(\d+)', content)
     if match:
         stats['total_errors'] = int(match.group(1))
 
-    # Extract Errors Left (Unfixed)
     match = re.search(r'Errors Left \(Unfixed\):\s*(\d+)', content)
     if match:
         stats['errors_left'] = int(match.group(1))
 
-    # Extract Total Time
     match = re.search(r'Total Time:\s*([\d.]+)\s*seconds', content)
     if match:
         stats['total_time'] = float(match.group(1))
 
-    # Extract Accuracy
     match = re.search(r'Accuracy:\s*([\d.]+)%', content)
     if match:
         stats['accuracy'] = float(match.group(1))
 
-    # Extract Speed (WPM)
     match = re.search(r'Speed:\s*([\d.]+)\s*words per minute', content)
     if match:
         stats['speed'] = float(match.group(1))
 
-    # Extract Generated timestamp
     match = re.search(r'Generated:\s*(.+)', content)
     if match:
         stats['generated'] = match.group(1).strip()
 
+    return stats
+
+
+def extract_stats():
+    """Read the latest session result and print all statistics to console."""
+    # Get the project root directory (where this script is located)
+    script_dir = Path(__file__).parent
+    sessions_file = script_dir / 'data' / 'sessions.jsonl'
+    stats_file = script_dir / 'client' / 'stats.txt'
+
+    stats = load_latest_session(sessions_file)
+    if stats is None:
+        stats = load_legacy_stats(stats_file)
+
+    if stats is None:
+        print(f"Error: no session results found in {sessions_file} and no stats.txt at {stats_file}")
+        return
+
     # Print all statistics
     print("Typing Statistics")
     print("=" * 50)
     print()
 
-    if 'total_errors' in stats:
+    if stats.get('total_errors') is not None:
         print(f"Total Errors Made: {stats['total_errors']}")
 
-    if 'errors_left' in stats:
+    if stats.get('errors_left') is not None:
         print(f"Errors Left (Unfixed): {stats['errors_left']}")
 
-    if 'total_time' in stats:
+    if stats.get('total_time') is not None:
         time_value = stats['total_time']
         if time_value < 60:
             print(f"Total Time: {time_value:.2f} seconds")
@@ -80,13 +123,13 @@ def extract_stats():
             seconds = time_value % 60
             print(f"Total Time: {minutes}m {seconds:.2f}s")
 
-    if 'accuracy' in stats:
+    if stats.get('accuracy') is not None:
         print(f"Accuracy: {stats['accuracy']:.2f}%")
 
-    if 'speed' in stats:
+    if stats.get('speed') is not None:
         print(f"Speed: {stats['speed']:.2f} words per minute")
 
-    if 'generated' in stats:
+    if stats.get('generated') is not None:
         print(f"Generated: {stats['generated']}")
 
     print()
@@ -2,6 +2,11 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
+const MessageProtocol = require('./client/message-protocol');
+const ConfigSchema = require('./client/config-schema');
+const TextSegmenter = require('./client/text-segmenter');
+const TypingEngine = require('./client/typing-engine');
 
 // Try to load WebSocket module, fallback if not available
 let WebSocket = null;
@@ -25,8 +30,69 @@ if (isProduction && !fs.existsSync(DIST_DIR)) {
 // Force port 3000 in production, otherwise use PORT environment variable or default to 3000
 const PORT = isProduction ? 3000 : (process.env.PORT || 3000);
 
-// Track connected WebSocket clients
-const wsClients = new Set();
+// Track connected WebSocket clients: WebSocket -> { id, role, learnerId, room, isAlive,
+// connectedAt, updatedAt, progress, lastResult }. Clients are pinged every
+// HEARTBEAT_INTERVAL_MS and dropped if they have not answered the previous ping
+const wsClients = new Map();
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Session history: an append-only JSON-lines file, one stored session per line
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.jsonl');
+const SESSION_SCHEMA_VERSION = 2;
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const LEARNER_ID_PATTERN = /^[A-Za-z0-9._@-]{1,100}$/;
+
+// Result verification: each session's keystroke log is typed again through
+// TypingEngine and its statistics recomputed. Sessions whose log does not match
+// their text or stats, or whose timing no person could produce, are stored
+// with verified: false and the reasons
+const MAX_PLAUSIBLE_WPM = 250;
+const MIN_KEY_INTERVAL_MS = 30;
+const MAX_FAST_INTERVAL_SHARE = 0.5; // Share of intervals allowed under MIN_KEY_INTERVAL_MS
+const MIN_INTERVALS_FOR_TIMING = 10; // Shorter logs are too short to judge the timing of
+// People type in an uneven rhythm: the standard deviation of the gaps between
+// keys is rarely under a fifth of their mean. Pauses longer than
+// MAX_RHYTHM_INTERVAL_MS are left out, so added pauses cannot hide a steady rhythm
+const MIN_INTERVAL_SPREAD = 0.15;
+const MAX_RHYTHM_INTERVAL_MS = 1000;
+const CLOCK_TOLERANCE_MS = 1000;
+const STATS_TOLERANCE = 0.01;
+// The client's fixed texts, read on every check like the text library. Text
+// that only exists on the client (generated, or set with ?text=) cannot be checked
+const DEFAULT_PASSAGE_FILE = path.join(__dirname, 'client', 'text-to-input.txt');
+const LESSONS_FILE = path.join(__dirname, 'client', 'lessons.json');
+const CODE_SNIPPETS_FILE = path.join(__dirname, 'client', 'code-snippets.json');
+
+// Text library: one passage per .txt file in TEXTS_DIR, read on every request
+// so passages can be added or edited without restarting the server
+const TEXTS_DIR = process.env.TEXTS_DIR ? path.resolve(process.env.TEXTS_DIR) : path.join(__dirname, 'texts');
+const TEXT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const TEXT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Rooms: learners in a room race each other on the same passage from a shared
+// countdown, and instructors can send commands to a whole room. Rooms live in
+// memory and disappear once their last learner leaves
+const RACE_MAX_PLAYERS = 10;
+const RACE_COUNTDOWN_MS = 5000;
+// Players still typing when the time limit is up are ranked by how far they got
+const RACE_TIME_LIMIT_MS = 5 * 60 * 1000;
+const RACE_FALLBACK_TEXT = 'The quick brown fox jumps over the lazy dog.';
+const rooms = new Map();
+
+// Live monitoring: simulator pages report their progress every few seconds and
+// instructor pages watch them. Set INSTRUCTOR_KEY to require a key for the
+// instructor page, which can also push passages and restarts to learners
+const INSTRUCTOR_KEY = process.env.INSTRUCTOR_KEY || null;
+
+// Remote control endpoints (POST /api/control/:action) and the command each sends
+const CONTROL_ACTIONS = {
+  text: 'set-text',
+  config: 'set-config',
+  restart: 'restart',
+  lock: 'lock',
+  unlock: 'unlock'
+};
 
 // MIME types for different file extensions
 const mimeTypes = {
@@ -67,6 +133,1117 @@ function serveFile(filePath, res) {
   });
 }
 
+// Send a JSON response
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Read a request body and parse it as JSON, replying 400 if it is malformed
+function readJsonBody(req, res, callback) {
+  let body = '';
+
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+
+  req.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    callback(data);
+  });
+}
+
+// Append a session to the history file
+function appendSession(session) {
+  fs.mkdirSync(path.dirname(SESSIONS_FILE), { recursive: true });
+  fs.appendFileSync(SESSIONS_FILE, JSON.stringify(session) + '\n', 'utf8');
+}
+
+// Read all stored sessions in the order they were appended
+// Lines that cannot be parsed (e.g. a write cut short) are skipped
+function readSessions() {
+  let content;
+  try {
+    content = fs.readFileSync(SESSIONS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const sessions = [];
+  content.split('\n').forEach((line, lineIndex) => {
+    if (!line.trim()) return;
+    try {
+      sessions.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`Skipping malformed session on line ${lineIndex + 1} of ${SESSIONS_FILE}`);
+    }
+  });
+  return sessions;
+}
+
+// Session summary for list responses (everything except the keystroke data)
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    learnerId: session.learnerId,
+    createdAt: session.createdAt,
+    startedAt: session.startedAt,
+    completedAt: session.completedAt,
+    textLength: session.text.length,
+    stats: session.stats,
+    verified: session.verified === true
+  };
+}
+
+// Filter sessions by the query parameters of GET /api/sessions
+function querySessions(sessions, query) {
+  let results = sessions;
+
+  if (query.learnerId) {
+    results = results.filter(session => session.learnerId === query.learnerId);
+  }
+  if (query.since) {
+    results = results.filter(session => session.createdAt >= query.since);
+  }
+  if (query.until) {
+    results = results.filter(session => session.createdAt <= query.until);
+  }
+  if (query.verified === 'true' || query.verified === 'false') {
+    results = results.filter(session => (session.verified === true) === (query.verified === 'true'));
+  }
+
+  // Keep the most recent sessions when a limit is given
+  const limit = parseInt(query.limit, 10);
+  if (limit > 0) {
+    results = results.slice(-limit);
+  }
+
+  return results;
+}
+
+// Per-learner totals for GET /api/learners
+function summarizeLearners(sessions) {
+  const learners = new Map();
+
+  sessions.forEach(session => {
+    let learner = learners.get(session.learnerId);
+    if (!learner) {
+      learner = {
+        learnerId: session.learnerId,
+        sessionCount: 0,
+        firstSessionAt: session.createdAt,
+        lastSessionAt: session.createdAt,
+        bestSpeed: 0
+      };
+      learners.set(session.learnerId, learner);
+    }
+    learner.sessionCount++;
+    learner.lastSessionAt = session.createdAt;
+    learner.bestSpeed = Math.max(learner.bestSpeed, session.stats.speed);
+  });
+
+  return Array.from(learners.values());
+}
+
+// Parse a passage file: an optional front matter block of "key: value" lines
+// between --- lines, followed by the passage text
+function parsePassage(id, content) {
+  const fields = {};
+  let text = content.replace(/\r\n?/g, '\n');
+
+  const frontMatter = text.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    });
+    text = text.slice(frontMatter[0].length);
+  }
+  text = text.trim();
+
+  let difficulty = fields.difficulty ? fields.difficulty.toLowerCase() : null;
+  if (difficulty !== null && !TEXT_DIFFICULTIES.includes(difficulty)) {
+    console.warn(`Unknown difficulty "${fields.difficulty}" in text ${id}`);
+    difficulty = null;
+  }
+
+  return {
+    id: id,
+    title: fields.title || id.replace(/[-_]+/g, ' '),
+    difficulty: difficulty,
+    language: fields.language || null,
+    tags: fields.tags ? fields.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    length: text.length,
+    text: text
+  };
+}
+
+// Read every passage in the library, sorted by difficulty and then title
+// Empty passages and files whose names are not valid ids are skipped
+function readPassages() {
+  let files;
+  try {
+    files = fs.readdirSync(TEXTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const difficultyOrder = difficulty => {
+    const index = TEXT_DIFFICULTIES.indexOf(difficulty);
+    return index === -1 ? TEXT_DIFFICULTIES.length : index;
+  };
+
+  return files
+    .filter(file => path.extname(file) === '.txt' && TEXT_ID_PATTERN.test(path.basename(file, '.txt')))
+    .map(file => parsePassage(path.basename(file, '.txt'), fs.readFileSync(path.join(TEXTS_DIR, file), 'utf8')))
+    .filter(passage => passage.length > 0)
+    .sort((a, b) => difficultyOrder(a.difficulty) - difficultyOrder(b.difficulty) || a.title.localeCompare(b.title));
+}
+
+// Passage metadata for list responses (everything except the text)
+function summarizePassage(passage) {
+  const { text, ...summary } = passage;
+  return summary;
+}
+
+// Filter passages by the query parameters of GET /api/texts
+function queryPassages(passages, query) {
+  let results = passages;
+
+  if (query.difficulty) {
+    results = results.filter(passage => passage.difficulty === query.difficulty);
+  }
+  if (query.language) {
+    results = results.filter(passage => passage.language === query.language);
+  }
+  if (query.tag) {
+    results = results.filter(passage => passage.tags.includes(query.tag));
+  }
+
+  return results;
+}
+
+// Send a message to one WebSocket client, if it is still connected
+function sendMessage(ws, type, fields = {}) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(MessageProtocol.create(type, fields)));
+  }
+}
+
+// Refuse a client message; replyTo is the type of the message being refused
+function sendError(ws, code, error, replyTo = null) {
+  sendMessage(ws, 'error', { code: code, error: error, replyTo: replyTo });
+}
+
+function sendToRoom(room, type, fields) {
+  room.players.forEach((player, ws) => sendMessage(ws, type, fields));
+}
+
+function sendToInstructors(type, fields) {
+  wsClients.forEach((client, ws) => {
+    if (client.role === 'instructor') {
+      sendMessage(ws, type, fields);
+    }
+  });
+}
+
+// The room a learner has joined, if any
+function findRoom(ws) {
+  const client = wsClients.get(ws);
+  return client && client.room !== null ? rooms.get(client.room) || null : null;
+}
+
+// Public view of a player for race-state and race-results messages
+function summarizeRacePlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    position: player.position,
+    wpm: player.wpm,
+    accuracy: player.accuracy,
+    time: player.time,
+    place: player.place
+  };
+}
+
+// Finished players by place, then everyone else by how far they got
+function rankRacePlayers(room) {
+  return Array.from(room.players.values()).sort((a, b) => {
+    if (a.place !== null || b.place !== null) {
+      return (a.place === null ? Infinity : a.place) - (b.place === null ? Infinity : b.place);
+    }
+    return b.position - a.position;
+  });
+}
+
+function broadcastRaceState(room) {
+  sendToRoom(room, 'race-state', {
+    room: room.id,
+    state: room.state,
+    players: Array.from(room.players.values()).map(summarizeRacePlayer)
+  });
+}
+
+// A random library passage for the next race
+function pickRacePassage() {
+  const passages = readPassages();
+  if (passages.length === 0) {
+    return { id: null, title: 'Race', text: RACE_FALLBACK_TEXT };
+  }
+  return passages[Math.floor(Math.random() * passages.length)];
+}
+
+function joinRoom(ws, client, data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+
+  leaveRoom(ws);
+  let room = rooms.get(data.room);
+  if (!room) {
+    room = { id: data.room, state: 'waiting', passage: null, startedAt: null, timers: [], players: new Map() };
+    rooms.set(room.id, room);
+  }
+  if (room.state === 'countdown' || room.state === 'racing') {
+    sendError(ws, 'race-under-way', 'A race is under way in this room; join once it has finished', 'join');
+    return;
+  }
+  if (room.players.size >= RACE_MAX_PLAYERS) {
+    sendError(ws, 'room-full', `This room is full (${RACE_MAX_PLAYERS} players)`, 'join');
+    return;
+  }
+
+  const player = {
+    id: client.id,
+    name: name || `Player ${room.players.size + 1}`,
+    position: 0,
+    wpm: 0,
+    accuracy: null,
+    time: null,
+    place: null
+  };
+  room.players.set(ws, player);
+  client.room = room.id;
+  sendMessage(ws, 'joined', { room: room.id, name: player.name });
+  broadcastRaceState(room);
+  sendToInstructors('learner-update', { learner: summarizeLearner(client) });
+}
+
+// Send everyone in the room the passage and start the countdown
+function startRace(ws) {
+  const room = findRoom(ws);
+  if (!room) {
+    sendError(ws, 'not-in-room', 'Join a room before starting a race', 'start-race');
+    return;
+  }
+  if (room.state === 'countdown' || room.state === 'racing') {
+    sendError(ws, 'race-under-way', 'The race has already started', 'start-race');
+    return;
+  }
+
+  let passage;
+  try {
+    passage = pickRacePassage();
+  } catch (error) {
+    console.error('Error reading texts:', error);
+    sendError(ws, 'server-error', 'Failed to pick a passage', 'start-race');
+    return;
+  }
+
+  room.state = 'countdown';
+  room.passage = passage;
+  room.players.forEach(player => {
+    Object.assign(player, { position: 0, wpm: 0, accuracy: null, time: null, place: null });
+  });
+  sendToRoom(room, 'race-start', {
+    room: room.id,
+    textId: passage.id,
+    title: passage.title,
+    text: passage.text,
+    countdownMs: RACE_COUNTDOWN_MS
+  });
+  broadcastRaceState(room);
+
+  room.timers.push(setTimeout(() => {
+    room.state = 'racing';
+    room.startedAt = Date.now();
+    broadcastRaceState(room);
+  }, RACE_COUNTDOWN_MS));
+  room.timers.push(setTimeout(() => endRace(room), RACE_COUNTDOWN_MS + RACE_TIME_LIMIT_MS));
+}
+
+// A learner's progress report: shown to instructors and, during a race, moves
+// the learner's bar
+function updateProgress(ws, client, data) {
+  client.updatedAt = new Date().toISOString();
+  client.progress = {
+    mode: data.mode,
+    title: data.title === null ? null : data.title.slice(0, 200),
+    state: data.state,
+    position: data.position,
+    length: data.length,
+    wpm: data.wpm,
+    accuracy: data.accuracy,
+    idleSeconds: data.idleSeconds
+  };
+  sendToInstructors('learner-update', { learner: summarizeLearner(client) });
+
+  const room = findRoom(ws);
+  if (!room || room.state !== 'racing') return;
+  const player = room.players.get(ws);
+  if (player.place !== null) return;
+  player.position = data.position;
+  if (data.wpm !== null) {
+    player.wpm = data.wpm;
+  }
+  broadcastRaceState(room);
+}
+
+// Characters a racer has typed once the passage is finished, counted as the
+// simulator counts them (trailing whitespace need not be typed)
+function getRaceFinishPosition(passage) {
+  return TypingEngine.getTrimmedLength(TextSegmenter.split(TextSegmenter.normalize(passage.text)));
+}
+
+// A finished passage: remembered for instructors and, during a race, places the learner
+function recordResult(ws, client, data) {
+  client.updatedAt = new Date().toISOString();
+  client.lastResult = {
+    mode: data.mode,
+    position: data.position,
+    wpm: data.wpm,
+    accuracy: data.accuracy,
+    finishedAt: client.updatedAt
+  };
+  sendToInstructors('learner-update', { learner: summarizeLearner(client) });
+
+  const room = findRoom(ws);
+  if (!room || room.state !== 'racing') return;
+  const player = room.players.get(ws);
+  if (player.place !== null) return;
+
+  // A result short of the end of the race passage does not place the player;
+  // it only moves their bar
+  if (data.position < getRaceFinishPosition(room.passage)) {
+    player.position = data.position;
+    player.wpm = data.wpm;
+    broadcastRaceState(room);
+    return;
+  }
+
+  const finished = Array.from(room.players.values()).filter(other => other.place !== null);
+  player.place = finished.length + 1;
+  player.time = (Date.now() - room.startedAt) / 1000;
+  player.position = data.position;
+  player.wpm = data.wpm;
+  player.accuracy = data.accuracy;
+
+  if (finished.length + 1 === room.players.size) {
+    endRace(room);
+  } else {
+    broadcastRaceState(room);
+  }
+}
+
+// Everyone finished or the time limit is up: send the final leaderboard
+function endRace(room) {
+  room.timers.forEach(timer => clearTimeout(timer));
+  room.timers = [];
+  if (room.state !== 'countdown' && room.state !== 'racing') return;
+
+  room.state = 'finished';
+  broadcastRaceState(room);
+  sendToRoom(room, 'race-results', {
+    room: room.id,
+    textId: room.passage.id,
+    results: rankRacePlayers(room).map(summarizeRacePlayer)
+  });
+}
+
+// Take a learner out of their room; returns the room id they left, if any
+function leaveRoom(ws) {
+  const room = findRoom(ws);
+  if (!room) return null;
+
+  room.players.delete(ws);
+  wsClients.get(ws).room = null;
+  if (room.players.size === 0) {
+    room.timers.forEach(timer => clearTimeout(timer));
+    rooms.delete(room.id);
+    return room.id;
+  }
+
+  // The race is over once everyone still in it has finished
+  const remaining = Array.from(room.players.values());
+  if (room.state === 'racing' && remaining.every(player => player.place !== null)) {
+    endRace(room);
+  } else {
+    broadcastRaceState(room);
+  }
+  return room.id;
+}
+
+// What an instructor sees of a learner
+function summarizeLearner(client) {
+  return {
+    clientId: client.id,
+    learnerId: client.learnerId,
+    room: client.room,
+    connectedAt: client.connectedAt,
+    updatedAt: client.updatedAt,
+    ...client.progress,
+    lastResult: client.lastResult
+  };
+}
+
+// The first message on every connection says who the client is
+function identifyClient(ws, client, data) {
+  if (client.role !== null) {
+    sendError(ws, 'invalid-message', 'hello was already sent on this connection', 'hello');
+    return;
+  }
+  if (data.role === 'instructor' && INSTRUCTOR_KEY !== null && data.key !== INSTRUCTOR_KEY) {
+    sendError(ws, 'invalid-key', 'Invalid instructor key', 'hello');
+    return;
+  }
+
+  client.role = data.role;
+  if (data.role === 'learner') {
+    client.learnerId = data.learnerId || 'anonymous';
+  }
+  sendMessage(ws, 'welcome', { clientId: client.id, role: client.role, heartbeatMs: HEARTBEAT_INTERVAL_MS });
+
+  if (client.role === 'instructor') {
+    const learners = Array.from(wsClients.values()).filter(other => other.role === 'learner');
+    sendMessage(ws, 'learners', { learners: learners.map(summarizeLearner) });
+  } else {
+    sendToInstructors('learner-update', { learner: summarizeLearner(client) });
+  }
+}
+
+// Push a command to the learners with the given client ids, everyone in a
+// room, or every learner when no target is given; returns how many it reached
+function sendLearnerCommand(data) {
+  const fields = { command: data.command };
+  if (data.command === 'set-text') {
+    fields.text = data.text;
+    fields.title = data.title === undefined ? null : data.title.slice(0, 200);
+  } else if (data.command === 'set-config') {
+    fields.config = data.config;
+  } else if (data.command === 'lock') {
+    fields.message = data.message === undefined ? null : data.message.slice(0, 200);
+  }
+
+  let count = 0;
+  wsClients.forEach((client, learnerWs) => {
+    if (client.role !== 'learner') return;
+    if (data.clientIds !== undefined && !data.clientIds.includes(client.id)) return;
+    if (data.room !== undefined && client.room !== data.room) return;
+    sendMessage(learnerWs, 'command', fields);
+    count++;
+  });
+  return count;
+}
+
+// Forget a closed connection, its room and its place in the instructor view
+function removeClient(ws) {
+  const client = wsClients.get(ws);
+  if (!client) return;
+
+  leaveRoom(ws);
+  wsClients.delete(ws);
+  if (client.role === 'learner') {
+    sendToInstructors('learner-left', { clientId: client.id });
+  }
+}
+
+// Problems with a client message; set-config commands must also follow the config schema
+function validateClientMessage(message) {
+  const errors = MessageProtocol.validate(message);
+  if (errors.length === 0 && message.type === 'command' && message.command === 'set-config') {
+    return ConfigSchema.validate(message.config).map(error => `config: ${error}`);
+  }
+  return errors;
+}
+
+// Validate a message from a WebSocket client and route it by type
+function handleWebSocketMessage(ws, raw) {
+  const client = wsClients.get(ws);
+  if (!client) return;
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    sendError(ws, 'invalid-json', 'Messages must be JSON');
+    return;
+  }
+
+  const replyTo = data && typeof data.type === 'string' ? data.type : null;
+  const errors = validateClientMessage(data);
+  if (errors.length > 0) {
+    sendError(ws, 'invalid-message', errors.join('; '), replyTo);
+    return;
+  }
+  const spec = MessageProtocol.getSpec(data.type);
+  if (client.role === null && data.type !== 'hello') {
+    sendError(ws, 'hello-required', 'Send hello before any other message', replyTo);
+    return;
+  }
+  if (spec.roles && !spec.roles.includes(client.role)) {
+    sendError(ws, 'forbidden', `Only ${spec.roles.join(' or ')} clients may send ${data.type}`, replyTo);
+    return;
+  }
+
+  switch (data.type) {
+    case 'hello':
+      identifyClient(ws, client, data);
+      break;
+    case 'join':
+      joinRoom(ws, client, data);
+      break;
+    case 'leave': {
+      const room = leaveRoom(ws);
+      if (room !== null) {
+        sendMessage(ws, 'left', { room: room });
+        sendToInstructors('learner-update', { learner: summarizeLearner(client) });
+      }
+      break;
+    }
+    case 'start-race':
+      startRace(ws);
+      break;
+    case 'progress':
+      updateProgress(ws, client, data);
+      break;
+    case 'result':
+      recordResult(ws, client, data);
+      break;
+    case 'command':
+      sendMessage(ws, 'command-sent', { command: data.command, count: sendLearnerCommand(data) });
+      break;
+  }
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Validate a session result against the current schema
+// Returns a list of problems (empty when the result is valid)
+function validateSessionResult(result) {
+  const errors = [];
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['Session result must be a JSON object'];
+  }
+
+  if (result.schemaVersion !== SESSION_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SESSION_SCHEMA_VERSION}`);
+  }
+
+  if (typeof result.learnerId !== 'string' || !LEARNER_ID_PATTERN.test(result.learnerId)) {
+    errors.push('learnerId must be 1-100 letters, digits or . _ @ -');
+  }
+
+  if (result.mode !== undefined && !['passage', 'timed', 'adaptive', 'code', 'race'].includes(result.mode)) {
+    errors.push('mode must be "passage", "timed", "adaptive", "code" or "race"');
+  }
+
+  if (result.mode === 'timed' && !isNonNegativeNumber(result.duration)) {
+    errors.push('duration must be a number of seconds for timed sessions');
+  }
+
+  if (typeof result.text !== 'string') {
+    errors.push('text must be a string');
+  }
+
+  ['startedAt', 'completedAt'].forEach(field => {
+    if (typeof result[field] !== 'string' || isNaN(Date.parse(result[field]))) {
+      errors.push(`${field} must be an ISO date string`);
+    }
+  });
+
+  const stats = result.stats;
+  if (!stats || typeof stats !== 'object') {
+    errors.push('stats must be an object');
+  } else {
+    ['totalErrors', 'errorsLeft', 'totalTime', 'speed', 'grossWpm', 'netWpm', 'cpm', 'kspc'].forEach(field => {
+      if (!isNonNegativeNumber(stats[field])) {
+        errors.push(`stats.${field} must be a non-negative number`);
+      }
+    });
+    ['accuracy', 'rawAccuracy', 'adjustedAccuracy'].forEach(field => {
+      if (!isNonNegativeNumber(stats[field]) || stats[field] > 100) {
+        errors.push(`stats.${field} must be a number between 0 and 100`);
+      }
+    });
+  }
+
+  if (result.lessonId !== undefined && result.lessonId !== null && typeof result.lessonId !== 'string') {
+    errors.push('lessonId must be a string or null');
+  }
+
+  if (result.textId !== undefined && result.textId !== null && typeof result.textId !== 'string') {
+    errors.push('textId must be a string or null');
+  }
+
+  if (result.keyboardLayout !== undefined && typeof result.keyboardLayout !== 'string') {
+    errors.push('keyboardLayout must be a string');
+  }
+
+  if (result.fingerStats !== undefined && !Array.isArray(result.fingerStats)) {
+    errors.push('fingerStats must be an array');
+  }
+
+  if (result.code !== undefined && result.code !== null) {
+    const code = result.code;
+    if (typeof code !== 'object' || Array.isArray(code)) {
+      errors.push('code must be an object or null');
+    } else {
+      if (typeof code.language !== 'string') {
+        errors.push('code.language must be a string');
+      }
+      if (!['skip', 'type'].includes(code.indentation)) {
+        errors.push('code.indentation must be "skip" or "type"');
+      }
+    }
+  }
+
+  if (result.errorPolicy !== undefined) {
+    const policy = result.errorPolicy;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      errors.push('errorPolicy must be an object');
+    } else {
+      if (typeof policy.stopOnError !== 'boolean') {
+        errors.push('errorPolicy.stopOnError must be a boolean');
+      }
+      if (!['any', 'word', 'none'].includes(policy.backspace)) {
+        errors.push('errorPolicy.backspace must be one of: any, word, none');
+      }
+      if (typeof policy.mustFixErrors !== 'boolean') {
+        errors.push('errorPolicy.mustFixErrors must be a boolean');
+      }
+    }
+  }
+
+  if (result.equivalentCharacters !== undefined &&
+      (!Array.isArray(result.equivalentCharacters) ||
+        result.equivalentCharacters.some(rule => !['accents', 'quotes', 'dashes', 'spaces'].includes(rule)))) {
+    errors.push('equivalentCharacters must be an array of: accents, quotes, dashes, spaces');
+  }
+
+  if (!Array.isArray(result.charTimings)) {
+    errors.push('charTimings must be an array');
+  }
+
+  if (!Array.isArray(result.keystrokes)) {
+    errors.push('keystrokes must be an array');
+  } else {
+    const invalidIndex = result.keystrokes.findIndex(entry =>
+      !entry ||
+      (entry.type !== 'insert' && entry.type !== 'delete') ||
+      !Number.isInteger(entry.index) || entry.index < 0 ||
+      typeof entry.expected !== 'string' ||
+      typeof entry.typed !== 'string' ||
+      !isNonNegativeNumber(entry.timestamp) ||
+      typeof entry.correction !== 'boolean'
+    );
+    if (invalidIndex !== -1) {
+      errors.push(`keystrokes[${invalidIndex}] is not a valid keystroke entry`);
+    }
+  }
+
+  return errors;
+}
+
+// Type a valid session's keystroke log again and check it against the passage,
+// the submitted statistics and what a person can type. Returns the problems
+// found (none when the session is verified) and the statistics recomputed from
+// the log, or null stats when the log does not replay against the text
+function verifySessionResult(result) {
+  const problems = [];
+
+  // The submitted text must be the one the server has for the session, or a
+  // made-up text with a matching log would pass
+  const expected = resolveSessionText(result);
+  if (expected.problem) {
+    problems.push(expected.problem);
+  } else if (TextSegmenter.normalize(expected.text) !== TextSegmenter.normalize(result.text)) {
+    problems.push(expected.mismatch);
+  }
+
+  // The log must replay to itself: same positions, characters and corrections.
+  // Equivalents are logged as the expected character and filled-in code
+  // indentation is not logged, so the engine needs the session's settings
+  const keystrokes = result.keystrokes;
+  const engine = TypingEngine.replay(result.text, keystrokes, {
+    errorPolicy: result.errorPolicy,
+    equivalentCharacters: result.equivalentCharacters,
+    skipIndentation: !!result.code && result.code.indentation === 'skip'
+  });
+  const replayed = engine.keystrokes;
+  let mismatch = replayed.findIndex((entry, i) => !keystrokes[i] ||
+    ['type', 'index', 'expected', 'typed', 'correction'].some(field => entry[field] !== keystrokes[i][field]));
+  if (mismatch === -1 && replayed.length !== keystrokes.length) {
+    mismatch = replayed.length;
+  }
+  if (mismatch !== -1) {
+    problems.push(`keystrokes[${mismatch}] does not replay against the text`);
+  } else if (result.mode !== 'timed' && result.mode !== 'race' && !engine.isComplete()) {
+    // Only timed tests and races end before the text is typed
+    problems.push('keystrokes do not finish the text');
+  }
+
+  // Timing: keystrokes in order, within the session, not pasted and not faster than a person
+  const lastTimestamp = keystrokes.length > 0 ? keystrokes[keystrokes.length - 1].timestamp : 0;
+  if (keystrokes.some((entry, i) => i > 0 && entry.timestamp < keystrokes[i - 1].timestamp)) {
+    problems.push('keystroke timestamps go backwards');
+  }
+  if (lastTimestamp > Date.parse(result.completedAt) - Date.parse(result.startedAt) + CLOCK_TOLERANCE_MS) {
+    problems.push('keystrokes run past completedAt');
+  }
+  if (result.mode === 'timed' && lastTimestamp > result.duration * 1000 + CLOCK_TOLERANCE_MS) {
+    problems.push('keystrokes run past the time limit');
+  }
+
+  // Insertions with the same timestamp came from one input event: a key adds
+  // one character, so more is pasted (or an input method's text), except for
+  // the spaces Tab types in code mode. Filled-in indentation is not logged
+  const inputs = [];
+  keystrokes.forEach(entry => {
+    if (entry.type !== 'insert') return;
+    const last = inputs[inputs.length - 1];
+    if (last && last.timestamp === entry.timestamp) {
+      last.chars.push(entry.typed);
+    } else {
+      inputs.push({ timestamp: entry.timestamp, chars: [entry.typed] });
+    }
+  });
+  const tabWidth = result.code && result.code.tabsEqualSpaces === true && Number.isInteger(result.code.tabWidth) ? result.code.tabWidth : 0;
+  const isTab = chars => chars.length <= tabWidth && chars.every(char => char === ' ');
+  const pasted = inputs.filter(input => input.chars.length > 1 && !isTab(input.chars));
+  if (pasted.length > 0) {
+    const mostChars = Math.max(...pasted.map(input => input.chars.length));
+    problems.push(`${mostChars} characters were entered at once (pasted input)`);
+  }
+
+  const intervals = inputs.slice(1).map((input, i) => input.timestamp - inputs[i].timestamp);
+  const fastIntervals = intervals.filter(interval => interval < MIN_KEY_INTERVAL_MS).length;
+  if (intervals.length >= MIN_INTERVALS_FOR_TIMING && fastIntervals / intervals.length > MAX_FAST_INTERVAL_SHARE) {
+    problems.push(`most keystrokes are less than ${MIN_KEY_INTERVAL_MS} ms apart`);
+  }
+  const rhythm = intervals.filter(interval => interval <= MAX_RHYTHM_INTERVAL_MS);
+  if (rhythm.length >= MIN_INTERVALS_FOR_TIMING) {
+    const mean = rhythm.reduce((sum, interval) => sum + interval, 0) / rhythm.length;
+    const deviation = Math.sqrt(rhythm.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / rhythm.length);
+    if (deviation < mean * MIN_INTERVAL_SPREAD) {
+      problems.push('keystrokes are more evenly spaced than a person types');
+    }
+  }
+
+  if (mismatch !== -1) {
+    return { problems: problems, stats: null };
+  }
+
+  // Statistics over the session's time: the time limit for timed tests,
+  // otherwise the submitted time, which cannot be shorter than the log
+  const submittedMs = result.stats.totalTime * 1000;
+  if (submittedMs < lastTimestamp - CLOCK_TOLERANCE_MS) {
+    problems.push('stats.totalTime is shorter than the keystroke log');
+  }
+  const elapsedMs = result.mode === 'timed' ? result.duration * 1000 : Math.max(submittedMs, lastTimestamp);
+  const stats = engine.getStatistics(elapsedMs);
+  Object.keys(stats).forEach(field => {
+    if (Math.abs(stats[field] - result.stats[field]) > STATS_TOLERANCE) {
+      problems.push(`stats.${field} does not match the keystroke log`);
+    }
+  });
+  if (intervals.length >= MIN_INTERVALS_FOR_TIMING && stats.grossWpm > MAX_PLAUSIBLE_WPM) {
+    problems.push(`${Math.round(stats.grossWpm)} WPM is faster than a person types`);
+  }
+
+  return { problems: problems, stats: stats };
+}
+
+// The text a session was typed on, from the server's own copy: the lesson, the
+// library passage, the race passage, the code snippet or text-to-input.txt.
+// Returns { text, mismatch } with the problem to report when the submitted text
+// differs, or { problem } when the server has no copy
+function resolveSessionText(result) {
+  if (result.lessonId) {
+    const lesson = JSON.parse(fs.readFileSync(LESSONS_FILE, 'utf8')).lessons.find(stored => stored.id === result.lessonId);
+    if (!lesson) {
+      return { problem: `lessonId ${result.lessonId} is not a lesson` };
+    }
+    if (lesson.generator) {
+      return { problem: `lesson ${result.lessonId} generates its text on the client, so the text cannot be checked` };
+    }
+    return { text: lesson.text.trimEnd(), mismatch: `text does not match lesson ${result.lessonId}` };
+  }
+
+  if (result.textId) {
+    const passage = readPassages().find(stored => stored.id === result.textId);
+    if (!passage) {
+      return { problem: `textId ${result.textId} is not in the text library` };
+    }
+    return { text: passage.text, mismatch: 'text does not match the library passage' };
+  }
+
+  switch (result.mode) {
+    case 'race':
+      // Races without a library passage are typed on the fallback text
+      return { text: RACE_FALLBACK_TEXT, mismatch: 'text does not match the race passage' };
+    case 'code': {
+      const code = result.code || {};
+      const snippet = JSON.parse(fs.readFileSync(CODE_SNIPPETS_FILE, 'utf8')).snippets.find(stored => stored.id === code.snippetId);
+      if (!snippet) {
+        return { problem: `code.snippetId ${code.snippetId} is not a code snippet` };
+      }
+      const text = TextSegmenter.normalize(snippet.code).trimEnd();
+      const mismatch = `text does not match code snippet ${snippet.id}`;
+      if (code.tabsEqualSpaces !== true) {
+        return { text: text, mismatch: mismatch };
+      }
+      if (!Number.isInteger(code.tabWidth) || code.tabWidth < 1) {
+        return { problem: 'code.tabWidth must be a whole number of at least 1' };
+      }
+      return { text: expandTabs(text, code.tabWidth), mismatch: mismatch };
+    }
+    case 'passage':
+    case undefined:
+      // Passages set on the client (?text=, embedding pages, instructors) look the same
+      return {
+        text: fs.readFileSync(DEFAULT_PASSAGE_FILE, 'utf8').trimEnd(),
+        mismatch: 'text is not client/text-to-input.txt, and text set on the client cannot be checked'
+      };
+    default:
+      return { problem: `${result.mode} text is generated on the client, so the text cannot be checked` };
+  }
+}
+
+// Replace tabs with spaces up to the next tab stop, as the simulator does in code mode
+function expandTabs(text, tabWidth) {
+  return text.split('\n').map(line => {
+    let expanded = '';
+    for (const char of line) {
+      expanded += char === '\t' ? ' '.repeat(tabWidth - (expanded.length % tabWidth)) : char;
+    }
+    return expanded;
+  }).join('\n');
+}
+
+// POST /api/control/:action - drive open simulators without the instructor page,
+// e.g. from a hosting platform or a test harness. The body holds the command's
+// fields (see MessageProtocol) and optionally a room or clientIds to target
+function handleControlRequest(req, res, action) {
+  const command = CONTROL_ACTIONS[action];
+  if (!command) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (INSTRUCTOR_KEY !== null && req.headers['x-instructor-key'] !== INSTRUCTOR_KEY) {
+    sendJson(res, 403, { error: 'Invalid instructor key' });
+    return;
+  }
+  if (!isWebSocketAvailable) {
+    sendJson(res, 503, {
+      error: 'WebSocket functionality not available',
+      details: 'Install the ws package with: npm install ws'
+    });
+    return;
+  }
+
+  readJsonBody(req, res, data => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      sendJson(res, 400, { error: 'Invalid command', details: ['body must be an object'] });
+      return;
+    }
+    const message = { ...data, ...MessageProtocol.create('command', { command: command }) };
+    const errors = validateClientMessage(message);
+    if (errors.length > 0) {
+      sendJson(res, 400, { error: 'Invalid command', details: errors });
+      return;
+    }
+    sendJson(res, 200, { success: true, command: command, count: sendLearnerCommand(message) });
+  });
+}
+
+// Handle /api/* requests
+function handleApiRequest(req, res, parsedUrl) {
+  const pathName = parsedUrl.pathname;
+
+  if (pathName === '/api/sessions' && req.method === 'POST') {
+    readJsonBody(req, res, result => {
+      const errors = validateSessionResult(result);
+      if (errors.length > 0) {
+        sendJson(res, 400, { error: 'Invalid session result', details: errors });
+        return;
+      }
+
+      let verification;
+      try {
+        verification = verifySessionResult(result);
+      } catch (error) {
+        console.error('Error verifying session:', error);
+        verification = { problems: ['the session could not be verified'], stats: null };
+      }
+
+      // Stored statistics are the server's own whenever the log replays
+      const session = Object.assign({}, result, {
+        stats: verification.stats || result.stats,
+        verified: verification.problems.length === 0,
+        verificationErrors: verification.problems,
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString()
+      });
+
+      try {
+        appendSession(session);
+        sendJson(res, 201, { success: true, id: session.id, session: session });
+      } catch (error) {
+        console.error('Error saving session:', error);
+        sendJson(res, 500, { error: 'Failed to save session' });
+      }
+    });
+    return;
+  }
+
+  if (pathName === '/api/sessions' && req.method === 'GET') {
+    const query = parsedUrl.query;
+    if (query.learnerId && !LEARNER_ID_PATTERN.test(query.learnerId)) {
+      sendJson(res, 400, { error: 'Invalid learner id' });
+      return;
+    }
+
+    try {
+      const sessions = querySessions(readSessions(), query);
+      sendJson(res, 200, { sessions: sessions.map(summarizeSession), total: sessions.length });
+    } catch (error) {
+      console.error('Error reading sessions:', error);
+      sendJson(res, 500, { error: 'Failed to read sessions' });
+    }
+    return;
+  }
+
+  if (pathName === '/api/learners' && req.method === 'GET') {
+    try {
+      sendJson(res, 200, { learners: summarizeLearners(readSessions()) });
+    } catch (error) {
+      console.error('Error reading sessions:', error);
+      sendJson(res, 500, { error: 'Failed to read sessions' });
+    }
+    return;
+  }
+
+  if (pathName === '/api/texts' && req.method === 'GET') {
+    try {
+      const passages = queryPassages(readPassages(), parsedUrl.query);
+      sendJson(res, 200, { texts: passages.map(summarizePassage) });
+    } catch (error) {
+      console.error('Error reading texts:', error);
+      sendJson(res, 500, { error: 'Failed to read texts' });
+    }
+    return;
+  }
+
+  const textMatch = pathName.match(/^\/api\/texts\/([^/]+)$/);
+  if (textMatch && req.method === 'GET') {
+    const textId = textMatch[1];
+    if (!TEXT_ID_PATTERN.test(textId)) {
+      sendJson(res, 400, { error: 'Invalid text id' });
+      return;
+    }
+
+    try {
+      const passage = readPassages().find(stored => stored.id === textId);
+      if (!passage) {
+        sendJson(res, 404, { error: 'Text not found' });
+        return;
+      }
+      sendJson(res, 200, passage);
+    } catch (error) {
+      console.error('Error reading texts:', error);
+      sendJson(res, 500, { error: 'Failed to read texts' });
+    }
+    return;
+  }
+
+  if (pathName === '/api/config/validate' && req.method === 'POST') {
+    readJsonBody(req, res, config => {
+      let errors;
+      try {
+        errors = ConfigSchema.validate(config);
+      } catch (error) {
+        console.error('Error validating config:', error);
+        sendJson(res, 400, { error: 'Could not validate this configuration' });
+        return;
+      }
+      sendJson(res, 200, { valid: errors.length === 0, errors: errors });
+    });
+    return;
+  }
+
+  const controlMatch = pathName.match(/^\/api\/control\/([^/]+)$/);
+  if (controlMatch && req.method === 'POST') {
+    handleControlRequest(req, res, controlMatch[1]);
+    return;
+  }
+
+  const sessionMatch = pathName.match(/^\/api\/sessions\/([^/]+)$/);
+  if (sessionMatch && req.method === 'GET') {
+    const sessionId = sessionMatch[1];
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      sendJson(res, 400, { error: 'Invalid session id' });
+      return;
+    }
+
+    try {
+      const session = readSessions().find(stored => stored.id === sessionId);
+      if (!session) {
+        sendJson(res, 404, { error: 'Session not found' });
+        return;
+      }
+      sendJson(res, 200, session);
+    } catch (error) {
+      console.error('Error reading sessions:', error);
+      sendJson(res, 500, { error: 'Failed to read sessions' });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Human-readable session summary for the legacy client/stats.txt export
+function formatLegacyStats(session) {
+  const stats = session.stats;
+  return `Typing Statistics
+==================
+
+Total Errors Made: ${stats.totalErrors}
+Errors Left (Unfixed): ${stats.errorsLeft}
+Total Time: ${stats.totalTime.toFixed(2)} seconds
+Accuracy: ${stats.accuracy.toFixed(2)}%
+Speed: ${stats.speed.toFixed(2)} words per minute
+Verified: ${session.verified === true ? 'yes' : 'no'}
+
+Generated: ${new Date().toLocaleString()}
+`;
+}
+
 // Handle POST requests
 function handlePostRequest(req, res, parsedUrl) {
   if (parsedUrl.pathname === '/message') {
@@ -98,11 +1275,7 @@ function handlePostRequest(req, res, parsedUrl) {
         }
 
         // Broadcast message to all connected WebSocket clients
-        wsClients.forEach(client => {
-          if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({ type: 'message', message: message }));
-          }
-        });
+        wsClients.forEach((client, ws) => sendMessage(ws, 'message', { message: message }));
 
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ success: true, clientCount: wsClients.size }));
@@ -113,14 +1286,22 @@ function handlePostRequest(req, res, parsedUrl) {
       }
     });
   } else if (parsedUrl.pathname === '/save-stats') {
-    let body = '';
-
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+    // The summary is written from a stored session, so it shows the statistics
+    // the server recomputed rather than whatever a client sends
+    readJsonBody(req, res, data => {
+      const sessionId = data && typeof data === 'object' ? data.sessionId : undefined;
+      if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        sendJson(res, 400, { error: 'sessionId must be the id of a stored session' });
+        return;
+      }
 
-    req.on('end', () => {
       try {
+        const session = readSessions().find(stored => stored.id === sessionId);
+        if (!session) {
+          sendJson(res, 404, { error: 'Session not found' });
+          return;
+        }
+
         const clientDir = path.join(__dirname, 'client');
         const statsPath = path.join(clientDir, 'stats.txt');
 
@@ -130,15 +1311,11 @@ function handlePostRequest(req, res, parsedUrl) {
         }
 
         // Write stats to file
-        fs.writeFileSync(statsPath, body, 'utf8');
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Statistics saved' }));
-
+        fs.writeFileSync(statsPath, formatLegacyStats(session), 'utf8');
+        sendJson(res, 200, { success: true, message: 'Statistics saved' });
       } catch (error) {
         console.error('Error saving statistics:', error);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save statistics' }));
+        sendJson(res, 500, { error: 'Failed to save statistics' });
       }
     });
   } else {
@@ -152,6 +1329,12 @@ const server = http.createServer((req, res) => {
   const parsedUrl = url.parse(req.url, true);
   let pathName = parsedUrl.pathname === '/' ? '/index.html' : parsedUrl.pathname;
 
+  // Handle JSON API requests
+  if (parsedUrl.pathname.startsWith('/api/')) {
+    handleApiRequest(req, res, parsedUrl);
+    return;
+  }
+
   // Handle POST requests
   if (req.method === 'POST') {
     handlePostRequest(req, res, parsedUrl);
@@ -195,18 +1378,62 @@ if (isWebSocketAvailable) {
 
   wss.on('connection', (ws, req) => {
     console.log('New WebSocket client connected');
-    wsClients.add(ws);
+    const now = new Date().toISOString();
+    wsClients.set(ws, {
+      id: crypto.randomUUID(),
+      role: null,
+      learnerId: null,
+      room: null,
+      isAlive: true,
+      connectedAt: now,
+      updatedAt: now,
+      progress: { mode: null, title: null, state: 'waiting', position: 0, length: 0, wpm: null, accuracy: null, idleSeconds: null },
+      lastResult: null
+    });
+
+    ws.on('message', (raw) => {
+      // A message that breaks its handler gets an error reply instead of stopping the server
+      try {
+        handleWebSocketMessage(ws, raw.toString());
+      } catch (error) {
+        console.error('Error handling WebSocket message:', error);
+        sendError(ws, 'server-error', 'The message could not be handled');
+      }
+    });
+
+    ws.on('pong', () => {
+      const client = wsClients.get(ws);
+      if (client) {
+        client.isAlive = true;
+      }
+    });
 
     ws.on('close', () => {
       console.log('WebSocket client disconnected');
-      wsClients.delete(ws);
+      removeClient(ws);
     });
 
     ws.on('error', (error) => {
       console.error('WebSocket error:', error);
-      wsClients.delete(ws);
+      removeClient(ws);
     });
   });
+
+  // Drop clients that did not answer the last ping (closed laptops, lost networks)
+  const heartbeat = setInterval(() => {
+    wsClients.forEach((client, ws) => {
+      if (!client.isAlive) {
+        console.log('WebSocket client timed out');
+        removeClient(ws);
+        ws.terminate();
+        return;
+      }
+      client.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
 }
 
 // Start server
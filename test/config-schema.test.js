@@ -0,0 +1,57 @@
+// Tests for client/config-schema.js and the POST /api/config/validate endpoint
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigSchema = require('../client/config-schema');
+const { startServer } = require('./support/server');
+
+describe('ConfigSchema.validate', () => {
+  it('accepts known options', () => {
+    assert.deepEqual(ConfigSchema.validate({ mode: 'timed', errorPolicy: { backspace: 'word' } }), []);
+  });
+
+  it('reports option names that only exist on Object.prototype as unknown', () => {
+    const values = JSON.parse('{"constructor":1,"toString":"x","__proto__":{},"errorPolicy":{"hasOwnProperty":true}}');
+
+    assert.deepEqual(ConfigSchema.validate(values), [
+      'constructor is not an option',
+      'toString is not an option',
+      '__proto__ is not an option',
+      'errorPolicy.hasOwnProperty is not an option'
+    ]);
+  });
+});
+
+describe('POST /api/config/validate', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => {
+    server.stop();
+  });
+
+  function validate(body) {
+    return fetch(`${server.baseUrl}/api/config/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    });
+  }
+
+  it('reports prototype-named options and keeps serving', async () => {
+    const response = await validate('{"constructor":1}');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { valid: false, errors: ['constructor is not an option'] });
+    assert.equal((await validate('{}')).status, 200);
+  });
+
+  it('answers a body that is not an object with the schema error', async () => {
+    const response = await validate('null');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).errors, ['settings must be an object']);
+  });
+});
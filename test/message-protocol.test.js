@@ -0,0 +1,74 @@
+// Tests for client/message-protocol.js and how the server answers messages it
+// cannot handle on /ws
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const MessageProtocol = require('../client/message-protocol');
+const { startServer } = require('./support/server');
+
+const PROTOTYPE_NAMES = ['toString', 'constructor', 'hasOwnProperty', '__proto__', 'valueOf'];
+
+describe('MessageProtocol.validate', () => {
+  it('accepts a valid message', () => {
+    assert.deepEqual(MessageProtocol.validate(MessageProtocol.create('join', { room: 'lunch-break' })), []);
+  });
+
+  PROTOTYPE_NAMES.forEach(type => {
+    it(`reports ${type} as an unknown message type`, () => {
+      assert.equal(MessageProtocol.getSpec(type), null);
+      assert.deepEqual(MessageProtocol.validate({ v: 1, type: type }), [`unknown message type: ${type}`]);
+    });
+  });
+});
+
+describe('/ws messages', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => {
+    server.stop();
+  });
+
+  // Send raw messages on a new connection and collect the given number of replies
+  async function exchange(messages, count = messages.length) {
+    const ws = new WebSocket(server.wsUrl);
+    const replies = [];
+    await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      ws.on('open', () => messages.forEach(message => ws.send(message)));
+      ws.on('message', raw => {
+        replies.push(JSON.parse(raw.toString()));
+        if (replies.length === count) resolve();
+      });
+    });
+    ws.close();
+    return replies;
+  }
+
+  it('answers prototype-named types with an error and keeps serving', async () => {
+    const replies = await exchange(PROTOTYPE_NAMES.map(type => JSON.stringify({ v: 1, type: type })));
+
+    replies.forEach((reply, i) => {
+      assert.equal(reply.type, 'error');
+      assert.equal(reply.code, 'invalid-message');
+      assert.equal(reply.error, `unknown message type: ${PROTOTYPE_NAMES[i]}`);
+    });
+
+    const [welcome] = await exchange([JSON.stringify(MessageProtocol.create('hello', { role: 'learner' }))]);
+    assert.equal(welcome.type, 'welcome');
+  });
+
+  it('refuses set-config commands with prototype-named options', async () => {
+    // Instructors get welcome and the learner list, then the reply to the command
+    const replies = await exchange([
+      JSON.stringify(MessageProtocol.create('hello', { role: 'instructor' })),
+      JSON.stringify(MessageProtocol.create('command', { command: 'set-config', config: { constructor: 1 } }))
+    ], 3);
+
+    assert.deepEqual(replies.map(reply => reply.type), ['welcome', 'learners', 'error']);
+    assert.equal(replies[2].error, 'config: constructor is not an option');
+  });
+});
@@ -0,0 +1,191 @@
+// Tests for the server's session verification: sessions are posted to
+// POST /api/sessions on a server started with its own data and text library
+// directories, and the stored verified flag is read back
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TextSegmenter = require('../client/text-segmenter');
+const TypingEngine = require('../client/typing-engine');
+const { startServer } = require('./support/server');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_PASSAGE = fs.readFileSync(path.join(ROOT_DIR, 'client', 'text-to-input.txt'), 'utf8').trimEnd();
+const LIBRARY_PASSAGE = 'A library passage the server keeps its own copy of.';
+
+// Milliseconds between keystrokes, uneven as a person's are
+const HUMAN_GAPS = [142, 95, 210, 131, 87, 176, 118, 260, 104, 155, 123, 198];
+
+let server;
+let tempDir;
+
+// Type a text through TypingEngine. Each event is what one input event adds
+// ('\b' deletes a character); gaps are the milliseconds between events
+function typeSession(text, events = TextSegmenter.split(text), { gaps = HUMAN_GAPS, ...options } = {}) {
+  const engine = new TypingEngine({ ...options, text: text });
+  let timestamp = 0;
+  events.forEach((event, i) => {
+    if (i > 0) {
+      timestamp += gaps[(i - 1) % gaps.length];
+    }
+    if (event === '\b') {
+      engine.deleteBackward(timestamp);
+    } else {
+      engine.input([...engine.inputChars, ...TextSegmenter.split(event)], timestamp);
+    }
+  });
+  return { engine: engine, elapsedMs: timestamp + 100 };
+}
+
+// A session result as the simulator submits it
+function buildResult({ engine, elapsedMs }, fields = {}) {
+  const startedAt = Date.parse('2026-03-12T10:00:00.000Z');
+  return {
+    schemaVersion: 2,
+    learnerId: 'test-learner',
+    mode: 'passage',
+    duration: null,
+    code: null,
+    lessonId: null,
+    textId: null,
+    startedAt: new Date(startedAt).toISOString(),
+    completedAt: new Date(startedAt + elapsedMs).toISOString(),
+    text: engine.text,
+    keyboardLayout: 'qwerty',
+    errorPolicy: engine.errorPolicy,
+    equivalentCharacters: engine.equivalentCharacters,
+    stats: engine.getStatistics(elapsedMs),
+    fingerStats: [],
+    charTimings: [],
+    keystrokes: engine.keystrokes.slice(),
+    ...fields
+  };
+}
+
+// Post a session and read back what was stored
+async function submit(result) {
+  const response = await fetch(`${server.baseUrl}/api/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result)
+  });
+  assert.equal(response.status, 201);
+  const { id } = await response.json();
+  return (await fetch(`${server.baseUrl}/api/sessions/${id}`)).json();
+}
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'typing-sessions-'));
+  fs.mkdirSync(path.join(tempDir, 'texts'));
+  fs.writeFileSync(path.join(tempDir, 'texts', 'sample.txt'), `---\ntitle: Sample\n---\n${LIBRARY_PASSAGE}\n`);
+
+  server = await startServer({ DATA_DIR: path.join(tempDir, 'data'), TEXTS_DIR: path.join(tempDir, 'texts') });
+});
+
+after(() => {
+  server.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('POST /api/sessions verification', () => {
+  it('verifies an honest session on the default passage', async () => {
+    const stored = await submit(buildResult(typeSession(DEFAULT_PASSAGE)));
+
+    assert.equal(stored.verified, true);
+    assert.deepEqual(stored.verificationErrors, []);
+  });
+
+  it('verifies an honest session with corrections on a library passage', async () => {
+    const events = TextSegmenter.split(LIBRARY_PASSAGE);
+    events.splice(3, 0, 'x', '\b');
+    const stored = await submit(buildResult(typeSession(LIBRARY_PASSAGE, events), { textId: 'sample' }));
+
+    assert.equal(stored.verified, true);
+    assert.equal(stored.stats.totalErrors, 1);
+  });
+
+  it('accepts the spaces Tab types in code mode', async () => {
+    const snippet = require('../client/code-snippets.json').snippets.find(stored => stored.id === 'py-word-count');
+    const text = TextSegmenter.normalize(snippet.code).trimEnd();
+    const events = [];
+    text.split('\n').forEach((line, i) => {
+      if (i > 0) events.push('\n');
+      const indentation = line.match(/^ */)[0].length;
+      for (let level = 0; level < indentation / 4; level++) {
+        events.push('    ');
+      }
+      events.push(...TextSegmenter.split(line.slice(indentation)));
+    });
+    const code = { snippetId: snippet.id, language: 'python', indentation: 'type', tabWidth: 4, tabsEqualSpaces: true };
+    const stored = await submit(buildResult(typeSession(text, events), { mode: 'code', code: code }));
+
+    assert.equal(stored.verified, true, stored.verificationErrors.join('; '));
+  });
+
+  it('stores the recomputed statistics when the submitted ones are inflated', async () => {
+    const session = typeSession(DEFAULT_PASSAGE);
+    const honestStats = session.engine.getStatistics(session.elapsedMs);
+    const result = buildResult(session);
+    result.stats = { ...result.stats, speed: result.stats.speed * 2, netWpm: result.stats.netWpm * 2, accuracy: 100 };
+    const stored = await submit(result);
+
+    assert.equal(stored.verified, false);
+    assert.ok(stored.verificationErrors.includes('stats.speed does not match the keystroke log'));
+    assert.equal(stored.stats.speed, honestStats.speed);
+  });
+
+  it('flags pasted text', async () => {
+    const half = Math.floor(DEFAULT_PASSAGE.length / 2);
+    const events = [...TextSegmenter.split(DEFAULT_PASSAGE.slice(0, half)), DEFAULT_PASSAGE.slice(half)];
+    const stored = await submit(buildResult(typeSession(DEFAULT_PASSAGE, events)));
+
+    assert.equal(stored.verified, false);
+    assert.ok(stored.verificationErrors.some(problem => problem.endsWith('characters were entered at once (pasted input)')));
+  });
+
+  it('flags text pasted a few characters at a time', async () => {
+    const events = DEFAULT_PASSAGE.match(/.{1,3}/gs);
+    const stored = await submit(buildResult(typeSession(DEFAULT_PASSAGE, events)));
+
+    assert.equal(stored.verified, false);
+    assert.ok(stored.verificationErrors.includes('3 characters were entered at once (pasted input)'));
+  });
+
+  it('flags keystrokes faster than a person types', async () => {
+    const stored = await submit(buildResult(typeSession(DEFAULT_PASSAGE, undefined, { gaps: [12, 14, 11, 15] })));
+
+    assert.equal(stored.verified, false);
+    assert.ok(stored.verificationErrors.includes('most keystrokes are less than 30 ms apart'));
+  });
+
+  it('flags keystrokes at a machine-even rhythm', async () => {
+    const stored = await submit(buildResult(typeSession(DEFAULT_PASSAGE, undefined, { gaps: [120, 121, 119, 120] })));
+
+    assert.equal(stored.verified, false);
+    assert.deepEqual(stored.verificationErrors, ['keystrokes are more evenly spaced than a person types']);
+  });
+
+  it('flags a text that is not the library passage', async () => {
+    const text = 'A different passage typed honestly from start to finish.';
+    const stored = await submit(buildResult(typeSession(text), { textId: 'sample' }));
+
+    assert.equal(stored.verified, false);
+    assert.deepEqual(stored.verificationErrors, ['text does not match the library passage']);
+  });
+
+  it('flags a made-up text without a textId', async () => {
+    const text = 'Any text at all, with a keystroke log that matches it.';
+    const stored = await submit(buildResult(typeSession(text)));
+
+    assert.equal(stored.verified, false);
+    assert.deepEqual(stored.verificationErrors, ['text is not client/text-to-input.txt, and text set on the client cannot be checked']);
+  });
+
+  it('flags text the server has no copy of', async () => {
+    const stored = await submit(buildResult(typeSession('generated words here'), { mode: 'adaptive' }));
+
+    assert.equal(stored.verified, false);
+    assert.deepEqual(stored.verificationErrors, ['adaptive text is generated on the client, so the text cannot be checked']);
+  });
+});
@@ -0,0 +1,42 @@
+// Starts server.js as a child process on a free port for tests that talk to
+// it over HTTP or the WebSocket
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const SERVER_FILE = path.join(__dirname, '..', '..', 'server.js');
+
+// A port nothing is listening on
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const port = probe.address().port;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server is listening; env is added to this process's environment
+async function startServer(env = {}) {
+  const port = await findFreePort();
+  const server = spawn(process.execPath, [SERVER_FILE], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) resolve();
+    });
+    server.on('exit', code => reject(new Error(`server exited with code ${code}`)));
+  });
+  return {
+    process: server,
+    baseUrl: `http://localhost:${port}`,
+    wsUrl: `ws://localhost:${port}/ws`,
+    stop: () => server.kill()
+  };
+}
+
+module.exports = { startServer };
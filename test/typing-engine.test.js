@@ -0,0 +1,220 @@
+// Scoring tests for client/typing-engine.js: error policies, backspace modes,
+// filled-in code indentation, grapheme handling and replaying recorded sessions.
+// The fixtures in test/fixtures are session results recorded from the simulator
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const TypingEngine = require('../client/typing-engine');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Type a string one character at a time, 100 ms apart; '\b' is a backspace
+function typeKeys(engine, keys, start = 0) {
+  let timestamp = start;
+  for (const key of keys) {
+    if (key === '\b') {
+      engine.deleteBackward(timestamp);
+    } else {
+      engine.insert(key, timestamp);
+    }
+    timestamp += 100;
+  }
+  return engine;
+}
+
+function typed(engine) {
+  return engine.typedChars.join('');
+}
+
+describe('TypingEngine error policies', () => {
+  it('marks mistakes and moves on by default', () => {
+    const engine = typeKeys(new TypingEngine({ text: 'cat' }), 'cxt');
+
+    assert.equal(typed(engine), 'cxt');
+    assert.deepEqual(engine.charStates, ['correct', 'incorrect', 'correct']);
+    assert.ok(engine.isComplete());
+  });
+
+  it('flags retyping a mistyped position as a correction', () => {
+    const engine = typeKeys(new TypingEngine({ text: 'cat' }), 'cx\bat');
+
+    assert.deepEqual(engine.keystrokes.map(entry => [entry.type, entry.index, entry.typed, entry.correction]), [
+      ['insert', 0, 'c', false],
+      ['insert', 1, 'x', false],
+      ['delete', 1, 'x', true],
+      ['insert', 1, 'a', true],
+      ['insert', 2, 't', false]
+    ]);
+  });
+
+  it('keeps the cursor on a wrong key with stopOnError', () => {
+    const engine = new TypingEngine({ text: 'cat', errorPolicy: { stopOnError: true } });
+    typeKeys(engine, 'cx');
+
+    assert.equal(typed(engine), 'c');
+    assert.equal(engine.blockedIndex, 1);
+    assert.deepEqual(engine.inputChars, ['c']);
+    assert.equal(engine.keystrokes.length, 2);
+
+    typeKeys(engine, 'at', 200);
+    assert.equal(typed(engine), 'cat');
+    assert.equal(engine.blockedIndex, -1);
+    assert.equal(engine.keystrokes[2].correction, true);
+  });
+
+  it('refuses backspace past the last space with backspace: word', () => {
+    const engine = new TypingEngine({ text: 'ab cd', errorPolicy: { backspace: 'word' } });
+    typeKeys(engine, 'ab x\b\b\b');
+
+    assert.equal(typed(engine), 'ab ');
+    assert.deepEqual(engine.inputChars, ['a', 'b', ' ']);
+    assert.deepEqual(engine.keystrokes.filter(entry => entry.type === 'delete').map(entry => entry.index), [3]);
+  });
+
+  it('refuses every backspace with backspace: none', () => {
+    const engine = new TypingEngine({ text: 'ab', errorPolicy: { backspace: 'none' } });
+    typeKeys(engine, 'x\b');
+
+    assert.equal(typed(engine), 'x');
+    assert.equal(engine.keystrokes.length, 1);
+    assert.equal(engine.getMinimumTypedLength(), 1);
+  });
+
+  it('only completes once every error is fixed with mustFixErrors', () => {
+    const engine = new TypingEngine({ text: 'cat', errorPolicy: { mustFixErrors: true } });
+    typeKeys(engine, 'cxt');
+
+    assert.ok(engine.isTextTyped());
+    assert.equal(engine.isComplete(), false);
+
+    typeKeys(engine, '\b\bat', 300);
+    assert.ok(engine.isComplete());
+  });
+
+  it('stops on errors when they must be fixed but cannot be deleted', () => {
+    const policy = TypingEngine.normalizeErrorPolicy({ mustFixErrors: true, backspace: 'none' });
+
+    assert.deepEqual(policy, { stopOnError: true, backspace: 'none', mustFixErrors: true });
+  });
+
+  it('falls back to backspace: any for an unknown policy', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const policy = TypingEngine.normalizeErrorPolicy({ backspace: 'sometimes' });
+    warn.mock.restore();
+
+    assert.equal(policy.backspace, 'any');
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
+
+describe('TypingEngine code indentation', () => {
+  const text = 'if x:\n    y\nz';
+
+  it('fills in indentation once the line break is typed', () => {
+    const engine = typeKeys(new TypingEngine({ text: text, skipIndentation: true }), 'if x:\ny');
+
+    assert.equal(typed(engine), 'if x:\n    y');
+    assert.equal(engine.keystrokes.length, 7);
+    assert.ok(engine.keystrokes.every(entry => entry.typed !== ' ' || entry.index === 2));
+  });
+
+  it('leaves filled-in indentation out of the metrics', () => {
+    const engine = typeKeys(new TypingEngine({ text: text, skipIndentation: true }), 'if x:\ny\nz');
+    const metrics = engine.getMetrics(60000);
+
+    assert.ok(engine.isComplete());
+    assert.equal(engine.typedChars.length, 13);
+    assert.equal(metrics.typedChars, 9);
+    assert.equal(metrics.cpm, 9);
+    assert.equal(metrics.kspc, 1);
+    assert.equal(metrics.adjustedAccuracy, 100);
+  });
+
+  it('removes filled-in indentation with its line break on backspace', () => {
+    const engine = typeKeys(new TypingEngine({ text: text, skipIndentation: true }), 'if x:\n\b');
+
+    assert.equal(typed(engine), 'if x:');
+    assert.deepEqual(engine.keystrokes.slice(-1).map(entry => [entry.type, entry.index]), [['delete', 5]]);
+  });
+
+  it('makes the learner type indentation without skipIndentation', () => {
+    const engine = typeKeys(new TypingEngine({ text: text }), 'if x:\ny');
+
+    assert.equal(typed(engine), 'if x:\ny');
+    assert.equal(engine.charStates[6], 'incorrect');
+  });
+});
+
+describe('TypingEngine graphemes', () => {
+  it('counts user-perceived characters', () => {
+    const engine = new TypingEngine({ text: 'Cafe\u0301 👍🏽 🇫🇷' });
+
+    assert.deepEqual(engine.textChars, ['C', 'a', 'f', 'é', ' ', '👍🏽', ' ', '🇫🇷']);
+    assert.equal(engine.text, 'Café 👍🏽 🇫🇷');
+  });
+
+  it('retypes a character that changes in place', () => {
+    const engine = new TypingEngine({ text: 'é' });
+    engine.input(['e'], 0);
+    engine.input(['é'], 80);
+
+    assert.equal(typed(engine), 'é');
+    assert.deepEqual(engine.keystrokes.map(entry => [entry.type, entry.typed, entry.correction]), [
+      ['insert', 'e', false],
+      ['delete', 'e', true],
+      ['insert', 'é', true]
+    ]);
+  });
+
+  it('logs accepted equivalents as the expected character', () => {
+    const engine = new TypingEngine({ text: '“Café” — ok', equivalentCharacters: ['quotes', 'accents', 'dashes'] });
+    typeKeys(engine, '"Cafe" - ok');
+
+    assert.ok(engine.charStates.every(state => state === 'correct'));
+    assert.equal(engine.keystrokes.map(entry => entry.typed).join(''), '“Café” — ok');
+  });
+
+  it('needs exact characters without equivalences', () => {
+    const engine = typeKeys(new TypingEngine({ text: '“ok”' }), '"ok"');
+
+    assert.equal(engine.getMetrics(60000).errorsLeft, 2);
+  });
+});
+
+describe('TypingEngine.replay', () => {
+  it('deletes everything from a delete entry\'s index on', () => {
+    const engine = TypingEngine.replay('abc', [
+      { type: 'insert', typed: 'a', timestamp: 0 },
+      { type: 'insert', typed: 'x', timestamp: 100 },
+      { type: 'insert', typed: 'y', timestamp: 200 },
+      { type: 'delete', index: 1, timestamp: 300 },
+      { type: 'insert', typed: 'b', timestamp: 400 },
+      { type: 'insert', typed: 'c', timestamp: 500 }
+    ]);
+
+    assert.equal(typed(engine), 'abc');
+    assert.deepEqual(engine.keystrokes.filter(entry => entry.type === 'delete').map(entry => entry.index), [2, 1]);
+  });
+
+  fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    const session = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+    it(`replays ${file}: ${session.description}`, () => {
+      const engine = TypingEngine.replay(session.text, session.keystrokes, {
+        errorPolicy: session.errorPolicy,
+        equivalentCharacters: session.equivalentCharacters,
+        skipIndentation: session.code !== null && session.code.indentation === 'skip'
+      });
+
+      assert.deepEqual(engine.keystrokes, session.keystrokes);
+      assert.ok(engine.isComplete());
+
+      const stats = engine.getStatistics(session.stats.totalTime * 1000);
+      Object.keys(session.stats).forEach(field => {
+        assert.ok(Math.abs(stats[field] - session.stats[field]) < 1e-6,
+          `stats.${field}: ${stats[field]} (recorded ${session.stats[field]})`);
+      });
+    });
+  });
+});
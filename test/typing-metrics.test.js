@@ -0,0 +1,58 @@
+// Tests for client/typing-metrics.js: the speed and accuracy definitions
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TypingMetrics = require('../client/typing-metrics');
+
+const insert = (expected, typed) => ({ type: 'insert', expected: expected, typed: typed });
+const remove = (expected, typed) => ({ type: 'delete', expected: expected, typed: typed });
+
+describe('TypingMetrics.calculate', () => {
+  it('counts five characters as a word', () => {
+    const metrics = TypingMetrics.calculate({
+      text: 'hello world',
+      typed: 'hello worl',
+      keystrokes: [...'hello worl'].map(char => insert(char, char)),
+      elapsedMs: 60000
+    });
+
+    assert.equal(metrics.grossWpm, 2);
+    assert.equal(metrics.netWpm, 2);
+    assert.equal(metrics.cpm, 10);
+    assert.equal(metrics.kspc, 1);
+    assert.equal(metrics.rawAccuracy, 100);
+    assert.equal(metrics.adjustedAccuracy, 100);
+  });
+
+  it('takes uncorrected errors off net WPM and keeps corrected ones in raw accuracy', () => {
+    // 'cat' typed as c, x (deleted), a, t, then 's' for '!'
+    const metrics = TypingMetrics.calculate({
+      text: 'cats!',
+      typed: 'catss',
+      keystrokes: [
+        insert('c', 'c'), insert('a', 'x'), remove('a', 'x'), insert('a', 'a'),
+        insert('t', 't'), insert('s', 's'), insert('!', 's')
+      ],
+      elapsedMs: 30000
+    });
+
+    assert.equal(metrics.typedChars, 5);
+    assert.equal(metrics.totalInputs, 6);
+    assert.equal(metrics.totalErrors, 2);
+    assert.equal(metrics.errorsLeft, 1);
+    assert.equal(metrics.grossWpm, 2);
+    assert.equal(metrics.netWpm, 0);
+    assert.equal(metrics.kspc, 7 / 5);
+    assert.equal(metrics.rawAccuracy, (4 / 6) * 100);
+    assert.equal(metrics.adjustedAccuracy, 80);
+  });
+
+  it('reports zeros before anything is typed', () => {
+    const metrics = TypingMetrics.calculate({ text: 'abc', typed: '', keystrokes: [], elapsedMs: 0 });
+
+    assert.equal(metrics.grossWpm, 0);
+    assert.equal(metrics.cpm, 0);
+    assert.equal(metrics.kspc, 0);
+    assert.equal(metrics.rawAccuracy, 0);
+    assert.equal(metrics.adjustedAccuracy, 0);
+  });
+});
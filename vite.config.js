@@ -1,4 +1,8 @@
 import { defineConfig } from 'vite';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const rootDir = dirname(fileURLToPath(import.meta.url));
 
 export default defineConfig({
   root: './client',
@@ -16,6 +20,10 @@ export default defineConfig({
         target: 'http://localhost:3001',
         changeOrigin: true
       },
+      '/api': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
       '/ws': {
         target: 'ws://localhost:3001',
         ws: true,
@@ -25,6 +33,12 @@ export default defineConfig({
   },
   build: {
     outDir: '../dist',
-    emptyOutDir: true
+    emptyOutDir: true,
+    rollupOptions: {
+      input: {
+        main: resolve(rootDir, 'client/index.html'),
+        instructor: resolve(rootDir, 'client/instructor.html')
+      }
+    }
   }
 });